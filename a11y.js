@@ -0,0 +1,220 @@
+// A hidden DOM copy of the board for assistive tech. The canvas is opaque to
+// screen readers, so the grid and the incoming rows are mirrored as grid
+// cells, and what happens in the game is read out through a live region.
+
+if (typeof module !== "undefined") {
+  // In the browser these come from the engine.js and scoring.js script tags instead
+  var { isEmptyCell, cellKey } = require("./engine.js");
+  var { describeClear } = require("./scoring.js");
+}
+
+// Names for the engine's BLOCK_COLORS, in the same order
+const BLOCK_COLOR_NAMES = ["blue", "pink", "green", "yellow"];
+// Messages raised while one action settles are read out together
+const ANNOUNCE_DELAY = 50;
+
+function colorName(engine, color) {
+  return BLOCK_COLOR_NAMES[engine.blockColors.indexOf(color)] ?? "colored";
+}
+
+function describeBlock(engine, block, length) {
+  const kind = block.kind && block.kind !== "normal" ? ` ${block.kind}` : "";
+  return `${colorName(engine, block.color)}${kind} block, length ${length}`;
+}
+
+// Block lengths by id for rows that are not on the board yet
+function measureBlocks(rows) {
+  const lengths = new Map();
+  for (const row of rows) {
+    for (const cell of row) {
+      if (isEmptyCell(cell) || cell.blockId === null) continue;
+      lengths.set(cell.blockId, (lengths.get(cell.blockId) || 0) + 1);
+    }
+  }
+  return lengths;
+}
+
+function createCellElements(container, rowCount, width, onFocusCell) {
+  const rows = [];
+  for (let y = 0; y < rowCount; y++) {
+    const row = document.createElement("div");
+    row.setAttribute("role", "row");
+    row.setAttribute("aria-rowindex", y + 1);
+    const cells = [];
+    for (let x = 0; x < width; x++) {
+      const element = document.createElement("div");
+      element.setAttribute("role", "gridcell");
+      element.setAttribute("aria-colindex", x + 1);
+      element.setAttribute("tabindex", -1);
+      if (onFocusCell) element.addEventListener("focus", () => onFocusCell(x, y));
+      row.appendChild(element);
+      cells.push(element);
+    }
+    container.appendChild(row);
+    rows.push(cells);
+  }
+  return rows;
+}
+
+function updateCellElement(element, cell, label, lengths) {
+  const isBlock = !isEmptyCell(cell) && cell.blockId !== null;
+  element.textContent = label;
+  element.dataset.blockId = isBlock ? String(cell.blockId) : "";
+  element.dataset.color = isBlock ? cell.color : "";
+  element.dataset.length = isBlock ? String(lengths.get(cell.blockId)) : "";
+}
+
+// elements: { grid, next, announcer } containers from the page.
+// options.cursor is where keyboard focus starts; options.onFocusCell(x, y)
+// runs when a board cell gets keyboard focus
+function createBoardMirror(engine, elements, options = {}) {
+  const { width, height } = engine;
+  const gridCells = createCellElements(elements.grid, height, width, options.onFocusCell);
+  let nextCells = [];
+  let nextRowCount = 0;
+  let cursor = options.cursor ? { ...options.cursor } : { x: 0, y: height - 1 };
+  let pending = [];
+  let announceTimer = null;
+  let lastScore = engine.score;
+  elements.grid.setAttribute("aria-rowcount", height);
+  elements.grid.setAttribute("aria-colcount", width);
+
+  function gridRows() {
+    return Array.from({ length: height }, (_, y) =>
+      Array.from({ length: width }, (_, x) => engine.cellAt(x, y))
+    );
+  }
+
+  function refreshGrid() {
+    const rows = gridRows();
+    const lengths = new Map(engine.listBlocks().map((block) => [block.blockId, block.length]));
+    const { selectedBlock } = engine;
+    const selectedKeys = new Set(
+      selectedBlock ? selectedBlock.cells.map((cell) => cellKey(cell.x, cell.y)) : []
+    );
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const element = gridCells[y][x];
+        const isSelected = selectedKeys.has(cellKey(x, y));
+        if (isSelected) {
+          const length = selectedBlock.baseCells.length;
+          const label = `selected ${describeBlock(engine, selectedBlock, length)}`;
+          updateCellElement(element, selectedBlock, label, new Map([[selectedBlock.blockId, length]]));
+        } else {
+          const cell = rows[y][x];
+          const isBlock = !isEmptyCell(cell) && cell.blockId !== null;
+          updateCellElement(element, cell, isBlock ? describeBlock(engine, cell, lengths.get(cell.blockId)) : "empty", lengths);
+        }
+        element.setAttribute("aria-selected", isSelected ? "true" : "false");
+      }
+    }
+  }
+
+  function refreshNext() {
+    const rows = engine.nextRows ?? [];
+    if (rows.length !== nextRowCount) {
+      elements.next.replaceChildren();
+      nextCells = createCellElements(elements.next, rows.length, width, null);
+      nextRowCount = rows.length;
+      elements.next.setAttribute("aria-rowcount", rows.length);
+    }
+    const lengths = measureBlocks(rows);
+    rows.forEach((row, y) => {
+      row.forEach((cell, x) => {
+        const isBlock = !isEmptyCell(cell) && cell.blockId !== null;
+        updateCellElement(nextCells[y][x], cell, isBlock ? describeBlock(engine, cell, lengths.get(cell.blockId)) : "empty", lengths);
+      });
+    });
+  }
+
+  function refresh() {
+    refreshGrid();
+    refreshNext();
+  }
+
+  function hasFocus() {
+    return Boolean(document.activeElement) && elements.grid.contains(document.activeElement);
+  }
+
+  // Keeps the one tabbable cell under the keyboard cursor, and moves focus
+  // along with it once the player is navigating the mirror
+  function setCursor(x, y) {
+    const focused = hasFocus();
+    gridCells[cursor.y][cursor.x].setAttribute("tabindex", -1);
+    cursor = { x, y };
+    const element = gridCells[y][x];
+    element.setAttribute("tabindex", 0);
+    if (focused && document.activeElement !== element) element.focus();
+  }
+
+  function flush() {
+    announceTimer = null;
+    elements.announcer.textContent = pending.join(". ");
+    pending = [];
+  }
+
+  function announce(message) {
+    pending.push(message);
+    if (announceTimer === null) announceTimer = setTimeout(flush, ANNOUNCE_DELAY);
+  }
+
+  function position(cells) {
+    const column = Math.min(...cells.map((cell) => cell.x)) + 1;
+    const row = Math.max(...cells.map((cell) => cell.y)) + 1;
+    return `row ${row}, column ${column}`;
+  }
+
+  // A move that tops out ends in gameOver without a settled event
+  for (const type of ["newGame", "load", "undo", "redo", "spawn", "settled", "gameOver", "cancel", "move", "select", "drop"]) {
+    engine.on(type, refresh);
+  }
+  engine.on("select", ({ cells }) => {
+    const block = engine.selectedBlock;
+    announce(`Picked up ${describeBlock(engine, block, cells.length)} at ${position(cells)}`);
+  });
+  engine.on("move", () => {
+    announce(`Moved to column ${Math.min(...engine.selectedBlock.cells.map((cell) => cell.x)) + 1}`);
+  });
+  engine.on("cancel", () => announce("Put back"));
+  engine.on("drop", ({ cells, dropDistance }) => {
+    const landed = cells.map((cell) => ({ x: cell.x, y: cell.y + dropDistance }));
+    announce(`Dropped at ${position(landed)}`);
+  });
+  engine.on("linesCleared", (award) => {
+    announce(`${describeClear(award).join(", ")}, ${award.points} points`);
+  });
+  engine.on("spawn", () => announce("A new row pushed in from the bottom"));
+  engine.on("settled", ({ score }) => {
+    if (score === lastScore) return;
+    lastScore = score;
+    announce(`Score ${score}`);
+  });
+  engine.on("gameOver", ({ score }) => announce(`Game over with ${score} points`));
+  for (const type of ["newGame", "load", "undo", "redo"]) {
+    engine.on(type, () => {
+      lastScore = engine.score;
+    });
+  }
+  // The opening rows arrive before newGame fires and are not news
+  engine.on("newGame", () => {
+    pending = [];
+    announce("New game");
+  });
+  engine.on("undo", () => announce(`Undone, score ${engine.score}`));
+  engine.on("redo", () => announce(`Redone, score ${engine.score}`));
+
+  refresh();
+  setCursor(cursor.x, cursor.y);
+  return {
+    refresh,
+    setCursor,
+    announce,
+  };
+}
+
+if (typeof module !== "undefined") {
+  module.exports = {
+    BLOCK_COLOR_NAMES,
+    createBoardMirror,
+  };
+}
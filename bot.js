@@ -0,0 +1,204 @@
+// Autoplay: strategies pick a move, the player drives the engine through the
+// same select/move/drop calls a human makes, and the batch runner plays
+// seeded games headless to compare rule changes.
+//
+//   node bot.js --strategy lookahead --games 20 --seed bench --rules narrow
+
+if (typeof module !== "undefined") {
+  // In the browser these come from the engine.js, rules.js and hint.js script tags instead
+  var { createGameEngine } = require("./engine.js");
+  var { isRulesId, resolveRules } = require("./rules.js");
+  var { findBestMove, evaluateOutcome } = require("./hint.js");
+}
+
+const BOT_STEP_DELAY = 600;
+const BOT_SELECT_DELAY = 300;
+// Headless games stop here if the bot never tops out
+const BOT_MAX_MOVES = 500;
+
+// Plays every move, then the best reply on the board it leaves. The reply
+// sees the previewed next row arrive but nothing generated after it
+function findLookaheadMove(engine) {
+  let best = null;
+  for (const move of engine.legalMoves()) {
+    const outcome = engine.simulateMove(move);
+    if (!outcome) continue;
+    const reply = outcome.gameOver
+      ? null
+      : engine.withSimulatedMoves([move], () => findBestMove(engine));
+    const value = reply
+      ? outcome.points + reply.value
+      : evaluateOutcome(outcome, engine.width, engine.height);
+    if (!best || value > best.value) best = { ...outcome, value };
+  }
+  return best;
+}
+
+const BOT_STRATEGIES = {
+  greedy: findBestMove,
+  lookahead: findLookaheadMove,
+};
+
+function createBotPlayer(engine, options = {}) {
+  let strategy = BOT_STRATEGIES[options.strategy] ? options.strategy : "greedy";
+  let speed = options.speed ?? 1;
+  let nextActionAt = null;
+  let pendingOffset = null;
+  let stuck = false;
+
+  // Returns true when a block is now waiting to be placed
+  function pickUp() {
+    const best = BOT_STRATEGIES[strategy](engine);
+    stuck = !best || !engine.selectBlock(best.move.x, best.move.y);
+    if (stuck) return false;
+    pendingOffset = best.move.offset;
+    return true;
+  }
+
+  function place() {
+    engine.moveSelected(pendingOffset);
+    pendingOffset = null;
+    engine.drop();
+  }
+
+  // Plays one whole move without waiting
+  function step() {
+    if (engine.isBusy() || engine.gameOver) return false;
+    if (!engine.selectedBlock && !pickUp()) return false;
+    place();
+    nextActionAt = null;
+    return true;
+  }
+
+  function update(now) {
+    if (engine.isBusy() || engine.gameOver) return;
+    if (nextActionAt === null) {
+      nextActionAt = now + (engine.selectedBlock ? BOT_SELECT_DELAY : BOT_STEP_DELAY) / speed;
+      return;
+    }
+    if (now < nextActionAt) return;
+    nextActionAt = null;
+    if (engine.selectedBlock) {
+      place();
+    } else {
+      pickUp();
+    }
+  }
+
+  return {
+    get strategy() {
+      return strategy;
+    },
+    get speed() {
+      return speed;
+    },
+    // True when the strategy found nothing to move
+    get stuck() {
+      return stuck;
+    },
+    update,
+    step,
+    setStrategy(value) {
+      if (BOT_STRATEGIES[value]) strategy = value;
+    },
+    setSpeed(value) {
+      speed = value;
+    },
+  };
+}
+
+function runBotGame(seed, options = {}) {
+  const engine = createGameEngine({ seed, animate: false, rules: resolveRules(options.rules) });
+  engine.newGame({ seed, undoLimit: 0 });
+  const bot = createBotPlayer(engine, { strategy: options.strategy });
+  const maxMoves = options.maxMoves ?? BOT_MAX_MOVES;
+  while (!engine.gameOver && engine.moves < maxMoves && bot.step()) {
+    // step() does all the work
+  }
+  return {
+    seed,
+    score: engine.score,
+    lines: engine.linesCleared,
+    moves: engine.moves,
+    outcome: engine.gameOver ? engine.gameOver.reason : bot.stuck ? "stuck" : "moveLimit",
+  };
+}
+
+function runBotBatch(options = {}) {
+  const games = options.games ?? 10;
+  const seedPrefix = options.seed ?? "bot";
+  const results = [];
+  for (let i = 0; i < games; i++) {
+    results.push(runBotGame(`${seedPrefix}-${i + 1}`, options));
+  }
+  const average = (key) => results.reduce((sum, result) => sum + result[key], 0) / games;
+  return {
+    strategy: options.strategy ?? "greedy",
+    rules: resolveRules(options.rules).name,
+    games,
+    averageScore: average("score"),
+    averageLines: average("lines"),
+    averageMoves: average("moves"),
+    results,
+  };
+}
+
+function parseBotArgs(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i += 2) {
+    const value = args[i + 1];
+    switch (args[i]) {
+      case "--strategy":
+        if (!BOT_STRATEGIES[value]) throw new Error(`Unknown strategy "${value}"`);
+        options.strategy = value;
+        break;
+      case "--games":
+      case "--max-moves": {
+        const count = Number(value);
+        if (!Number.isInteger(count) || count < 1) throw new Error(`${args[i]} needs a positive whole number`);
+        options[args[i] === "--games" ? "games" : "maxMoves"] = count;
+        break;
+      }
+      case "--seed":
+        options.seed = value;
+        break;
+      case "--rules":
+        if (!isRulesId(value)) throw new Error(`Unknown rules "${value}"`);
+        options.rules = value;
+        break;
+      default:
+        throw new Error(`Unknown option "${args[i]}"`);
+    }
+  }
+  return options;
+}
+
+if (typeof module !== "undefined") {
+  module.exports = {
+    BOT_STRATEGIES,
+    findLookaheadMove,
+    createBotPlayer,
+    runBotGame,
+    runBotBatch,
+  };
+
+  if (require.main === module) {
+    let options;
+    try {
+      options = parseBotArgs(process.argv.slice(2));
+    } catch (err) {
+      console.error(err.message);
+      process.exit(1);
+    }
+    const report = runBotBatch(options);
+    for (const result of report.results) {
+      console.log(`${result.seed}\tscore ${result.score}\tlines ${result.lines}\tmoves ${result.moves}\t${result.outcome}`);
+    }
+    console.log(
+      `${report.strategy} on ${report.rules} over ${report.games} games: ` +
+      `avg score ${report.averageScore.toFixed(1)}, ` +
+      `avg lines ${report.averageLines.toFixed(1)}, ` +
+      `avg moves ${report.averageMoves.toFixed(1)}`
+    );
+  }
+}
@@ -0,0 +1,59 @@
+// Daily challenge: every player gets the same rows for a calendar day and rule
+// set and a fixed number of moves, and can share a text summary of the run.
+
+const DAILY_MOVE_LIMIT = 30;
+const DAILY_EMOJI_BY_COLOR_INDEX = ["🟦", "🟪", "🟩", "🟨"];
+const DAILY_EMOJI_EMPTY = "⬛";
+const DAILY_EMOJI_UNKNOWN = "⬜";
+
+if (typeof module !== "undefined") {
+  // In the browser these come from the engine.js script tag instead
+  var { isEmptyCell } = require("./engine.js");
+}
+
+function dailyDateKey(date = new Date()) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${year}-${month}-${day}`;
+}
+
+// Each rule set gets its own daily, since their boards are not comparable
+function dailySeed(dateKey, rulesId) {
+  return `daily-${dateKey}-${rulesId}`;
+}
+
+function emojiForCell(cell, blockColors) {
+  if (isEmptyCell(cell)) return DAILY_EMOJI_EMPTY;
+  return DAILY_EMOJI_BY_COLOR_INDEX[blockColors.indexOf(cell.color)] ?? DAILY_EMOJI_UNKNOWN;
+}
+
+function formatDailySummary(engine, dateKey) {
+  const boardLines = [];
+  for (let y = 0; y < engine.height; y++) {
+    let line = "";
+    for (let x = 0; x < engine.width; x++) line += emojiForCell(engine.cellAt(x, y), engine.blockColors);
+    boardLines.push(line);
+  }
+  // Empty rows above the stack only make the message longer
+  const emptyLine = DAILY_EMOJI_EMPTY.repeat(engine.width);
+  while (boardLines.length > 1 && boardLines[0] === emptyLine) boardLines.shift();
+
+  const movesLabel = engine.maxMoves === null
+    ? `${engine.moves}`
+    : `${engine.moves}/${engine.maxMoves}`;
+  return [
+    `Reverse Tetris daily ${dateKey} · ${engine.rules.name}`,
+    `Score ${engine.score} · Lines ${engine.linesCleared} · Moves ${movesLabel}`,
+    ...boardLines,
+  ].join("\n");
+}
+
+if (typeof module !== "undefined") {
+  module.exports = {
+    DAILY_MOVE_LIMIT,
+    dailyDateKey,
+    dailySeed,
+    formatDailySummary,
+  };
+}
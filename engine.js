@@ -0,0 +1,1283 @@
+// Game rules without any DOM access, so boards can run in Node, in bots and
+// side by side. The canvas client in index.js drives one of these.
+
+if (typeof module !== "undefined") {
+  // In the browser these come from the random.js, scoring.js, levels.js and rules.js script tags instead
+  var { createRandom, randomSeed } = require("./random.js");
+  var { scoreClear } = require("./scoring.js");
+  var { levelForLines, levelSettings, pickBlockLength } = require("./levels.js");
+  var { resolveRules, scaledBlockSpawn } = require("./rules.js");
+}
+
+const COLOR_BACKGROUND = "#1b1f32";
+const BLOCK_COLORS = ["#8ab6f9", "#f5b0e3", "#9fd8c0", "#f8d89e"];
+const INITIAL_ROWS = 5;
+// Snapshots kept for undo/redo regardless of the per-game undo limit
+const MAX_HISTORY = 100;
+// Bump whenever the shape returned by serialize() changes
+const SAVE_FORMAT_VERSION = 2;
+// Multi-row pieces as [x, y] cells, y = 0 being the upper of the two spawn rows
+const SPAWN_SHAPES = [
+  [[0, 0], [0, 1]],
+  [[0, 0], [0, 1], [1, 1]],
+  [[1, 0], [0, 1], [1, 1]],
+  [[0, 0], [0, 1], [1, 1], [2, 1]],
+  [[2, 0], [0, 1], [1, 1], [2, 1]],
+  [[1, 0], [0, 1], [1, 1], [2, 1]],
+  [[1, 0], [2, 0], [0, 1], [1, 1]],
+  [[0, 0], [1, 0], [1, 1], [2, 1]],
+];
+
+// bomb: clears the cells around it when a line it is in clears
+// anchor: cannot be picked up and is not pulled down by gravity
+// rainbow: matches every color
+const CELL_KINDS = ["normal", "bomb", "anchor", "rainbow"];
+// Cells in each direction a bomb clears
+const BOMB_RADIUS = 1;
+const GAME_OVER_REASONS = ["toppedOut", "outOfMoves"];
+
+function makeCell(color, blockId = null, kind = "normal") {
+  return { color, blockId, kind };
+}
+
+function copyCell(cell) {
+  // Saves from before cell kinds existed have none
+  return { color: cell.color, blockId: cell.blockId, kind: cell.kind ?? "normal" };
+}
+
+function isAnchoredCell(cell) {
+  return cell.kind === "anchor";
+}
+
+function colorsMatch(a, b) {
+  if (isEmptyCell(a) || isEmptyCell(b)) return false;
+  return a.kind === "rainbow" || b.kind === "rainbow" || a.color === b.color;
+}
+
+function isEmptyCell(cell) {
+  return cell.color === COLOR_BACKGROUND;
+}
+
+function cellKey(x, y) {
+  return `${x},${y}`;
+}
+
+function cloneGridCells(sourceGrid) {
+  return sourceGrid.map((cell) => copyCell(cell));
+}
+
+function isValidCell(cell) {
+  return (
+    cell !== null &&
+    typeof cell === "object" &&
+    typeof cell.color === "string" &&
+    (cell.blockId === null || Number.isInteger(cell.blockId)) &&
+    (cell.kind === undefined || CELL_KINDS.includes(cell.kind))
+  );
+}
+
+function makeEmptyRow(width) {
+  return Array.from({ length: width }, () => makeCell(COLOR_BACKGROUND));
+}
+
+function isValidCellRow(cells, length) {
+  return Array.isArray(cells) && cells.length === length && cells.every(isValidCell);
+}
+
+function isCount(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+// Fields saves from before they existed leave out are optional
+function isOptionalCount(value) {
+  return value === undefined || isCount(value);
+}
+
+function isValidGameOver(gameOver) {
+  if (gameOver === null || gameOver === undefined) return true;
+  return (
+    typeof gameOver === "object" &&
+    GAME_OVER_REASONS.includes(gameOver.reason) &&
+    ["score", "linesCleared", "moves", "rowsSurvived"].every((key) => isCount(gameOver[key]))
+  );
+}
+
+// Version 1 saves held a single next row instead of a list of rows
+function migrateSave(data) {
+  if (!data || data.version !== 1 || !data.state) return data;
+  const { nextRow, ...state } = data.state;
+  return { ...data, version: 2, state: { ...state, nextRows: nextRow ? [nextRow] : null } };
+}
+
+function createGameEngine(options = {}) {
+  const rules = options.rules ?? resolveRules();
+  const WIDTH = rules.width;
+  const HEIGHT = rules.height;
+  // Without animation every settle runs to completion synchronously
+  const animate = options.animate ?? true;
+  const makeRandom = options.createRandom ?? createRandom;
+  // Falls back to the table in levels.js when not given
+  const difficultyLevels = options.difficultyLevels;
+
+  const idx = (x, y) => y * WIDTH + x;
+  const grid = Array.from({ length: WIDTH * HEIGHT }, () => makeCell(COLOR_BACKGROUND));
+  // Every block on the grid by id, as { blockId, color, kind, cells }. Kept in
+  // step with the grid so nothing has to flood fill to find a block's cells.
+  // A lifted block is out of the grid and out of here until it is placed
+  const blocks = new Map();
+  const listeners = new Map();
+
+  let topLine = -1;
+  let selectedBlock = null;
+  let score = 0;
+  let linesCleared = 0;
+  // Consecutive moves before the current one that cleared at least one line
+  let combo = 0;
+  // Horizontal moves committed this game, optionally capped by maxMoves
+  let moves = 0;
+  let movesSinceSpawn = 0;
+  let maxMoves = options.maxMoves ?? null;
+  // Undos allowed per game: null for unlimited, 0 for hardcore
+  let undoLimit = options.undoLimit ?? null;
+  let undosUsed = 0;
+  const undoStack = [];
+  const redoStack = [];
+  // Rows the next spawn pushes in, top to bottom
+  let nextRows = null;
+  let fallingAnimation = null;
+  let lineClearAnimation = null;
+  let blockCounter = 0;
+  let gameOver = null;
+  let simulating = false;
+  let seed = options.seed ?? randomSeed();
+  let random = makeRandom(seed);
+
+  function on(type, handler) {
+    if (!listeners.has(type)) listeners.set(type, new Set());
+    listeners.get(type).add(handler);
+    return () => listeners.get(type).delete(handler);
+  }
+
+  function emit(type, payload) {
+    if (simulating) return;
+    const handlers = listeners.get(type);
+    if (!handlers) return;
+    for (const handler of [...handlers]) handler(payload);
+  }
+
+  function isInside(x, y) {
+    return x >= 0 && x < WIDTH && y >= 0 && y < HEIGHT;
+  }
+
+  function cellAt(x, y) {
+    if (!isInside(x, y)) return null;
+    return grid[idx(x, y)];
+  }
+
+  function isBusy() {
+    return Boolean(fallingAnimation || lineClearAnimation);
+  }
+
+  function nextBlockId() {
+    blockCounter += 1;
+    return blockCounter;
+  }
+
+  // Adds the block cell at x, y to the registry
+  function registerCell(x, y) {
+    const cell = grid[idx(x, y)];
+    if (isEmptyCell(cell) || cell.blockId === null) return;
+    let block = blocks.get(cell.blockId);
+    if (!block) {
+      block = { blockId: cell.blockId, color: cell.color, kind: cell.kind, cells: [] };
+      blocks.set(cell.blockId, block);
+    }
+    block.cells.push({ x, y });
+  }
+
+  // For when the whole grid was replaced, e.g. by undo or a load. Boards saved
+  // before blocks were split on line clears can hold one id on parts that no
+  // longer touch; those are split the way a line clear splits them now
+  function rebuildBlocks() {
+    blocks.clear();
+    for (let y = 0; y < HEIGHT; y++) {
+      for (let x = 0; x < WIDTH; x++) registerCell(x, y);
+    }
+    splitBrokenBlocks(new Set(blocks.keys()));
+  }
+
+  function placeBlock(blockId, color, kind, cells) {
+    for (const cell of cells) grid[idx(cell.x, cell.y)] = makeCell(color, blockId, kind);
+    blocks.set(blockId, { blockId, color, kind, cells: cells.map((cell) => ({ x: cell.x, y: cell.y })) });
+  }
+
+  function removeBlock(blockId) {
+    const block = blocks.get(blockId);
+    if (!block) return null;
+    for (const cell of block.cells) grid[idx(cell.x, cell.y)] = makeCell(COLOR_BACKGROUND);
+    blocks.delete(blockId);
+    return block;
+  }
+
+  // A copy callers can keep without it changing under them
+  function describeBlock(block) {
+    const { blockId, color, kind, cells } = block;
+    return { blockId, color, kind, length: cells.length, cells: cells.map((cell) => ({ ...cell })) };
+  }
+
+  function moveBlocksUp() {
+    topLine++;
+    // Shift every cell up by one row
+    for (let y = 1; y < HEIGHT; y++) {
+      for (let x = 0; x < WIDTH; x++) {
+        grid[idx(x, y - 1)] = copyCell(grid[idx(x, y)]);
+      }
+    }
+    // Clear bottom row
+    for (let x = 0; x < WIDTH; x++) grid[idx(x, HEIGHT - 1)] = makeCell(COLOR_BACKGROUND);
+    // Only simulated spawns push cells off the top, see rowsWouldClear
+    for (const [blockId, block] of blocks) {
+      block.cells = block.cells.filter((cell) => cell.y > 0);
+      for (const cell of block.cells) cell.y--;
+      if (block.cells.length === 0) blocks.delete(blockId);
+    }
+  }
+
+  // Rows are listed top to bottom. With rules.shapeChance set some blocks
+  // become SPAWN_SHAPES pieces reaching into a second row above the first
+  function generateNextRows() {
+    const top = makeEmptyRow(WIDTH);
+    const bottom = makeEmptyRow(WIDTH);
+    const settings = currentLevelSettings();
+    const maxBlockSpawn = scaledBlockSpawn(rules, settings.maxBlockSpawn);
+    const shapeChance = rules.shapeChance ?? 0;
+    // Counts bottom row cells only; no shape has more cells on top than below
+    let spawned = 0;
+    let x = 0;
+
+    while (x < WIDTH && spawned < maxBlockSpawn) {
+      const maxLen = Math.min(
+        rules.maxBlockLength,
+        settings.lengthWeights.length,
+        maxBlockSpawn - spawned,
+        WIDTH - x
+      );
+      if (maxLen <= 0) break;
+
+      const color = random.next() < settings.gapChance
+        ? COLOR_BACKGROUND
+        : BLOCK_COLORS[Math.floor(random.next() * settings.colorCount)];
+      const len = pickBlockLength(settings.lengthWeights, maxLen, random);
+      if (color === COLOR_BACKGROUND) {
+        x += len;
+        continue;
+      }
+
+      const blockId = nextBlockId();
+      const kind = pickCellKind();
+      // Strip-only rules never roll here, so their rows stay the same for a seed
+      const shape = shapeChance > 0 && random.next() < shapeChance && kind !== "bomb"
+        ? pickShape(WIDTH - x, maxBlockSpawn - spawned)
+        : null;
+      if (shape) {
+        let shapeWidth = 0;
+        for (const [sx, sy] of shape) {
+          (sy === 0 ? top : bottom)[x + sx] = makeCell(color, blockId, kind);
+          if (sy === 1) spawned++;
+          shapeWidth = Math.max(shapeWidth, sx + 1);
+        }
+        x += shapeWidth;
+        continue;
+      }
+      // Bombs are single cells so one blast never covers more than its neighborhood
+      const stripLength = kind === "bomb" ? 1 : len;
+      for (let bx = 0; bx < stripLength && x + bx < WIDTH; bx++) {
+        bottom[x + bx] = makeCell(color, blockId, kind);
+      }
+      spawned += stripLength;
+      x += stripLength;
+    }
+
+    return top.every(isEmptyCell) ? [bottom] : [top, bottom];
+  }
+
+  function pickCellKind() {
+    const chances = rules.specialChances ?? {};
+    let roll = random.next();
+    for (const kind of CELL_KINDS) {
+      if (kind === "normal") continue;
+      roll -= chances[kind] ?? 0;
+      if (roll < 0) return kind;
+    }
+    return "normal";
+  }
+
+  function pickShape(maxWidth, maxBottomCells) {
+    const fitting = SPAWN_SHAPES.filter((shape) =>
+      shape.length <= rules.maxBlockLength &&
+      shape.every(([sx]) => sx < maxWidth) &&
+      shape.filter(([, sy]) => sy === 1).length <= maxBottomCells
+    );
+    if (fitting.length === 0) return null;
+    return fitting[Math.floor(random.next() * fitting.length)];
+  }
+
+  function currentLevel() {
+    return levelForLines(linesCleared, difficultyLevels);
+  }
+
+  function currentLevelSettings() {
+    return levelSettings(currentLevel(), difficultyLevels);
+  }
+
+  function restoreGridFromSnapshot(snapshotGrid) {
+    for (let i = 0; i < grid.length; i++) {
+      grid[i] = copyCell(snapshotGrid[i]);
+    }
+    rebuildBlocks();
+  }
+
+  function rowsWouldClear(rows) {
+    if (!rows) return false;
+    const snapshot = {
+      grid: cloneGridCells(grid),
+      topLine,
+      score,
+      linesCleared,
+      selectedBlock,
+      fallingAnimation,
+      simulating,
+    };
+    simulating = true;
+    selectedBlock = null;
+    fallingAnimation = null;
+    pushRowsIn(rows);
+    const cleared = settleBoard({ animate: false });
+    restoreGridFromSnapshot(snapshot.grid);
+    topLine = snapshot.topLine;
+    score = snapshot.score;
+    linesCleared = snapshot.linesCleared;
+    selectedBlock = snapshot.selectedBlock;
+    fallingAnimation = snapshot.fallingAnimation;
+    simulating = snapshot.simulating;
+    return cleared > 0;
+  }
+
+  function areTopRowsOccupied(count) {
+    for (let y = 0; y < count; y++) {
+      for (let x = 0; x < WIDTH; x++) {
+        if (!isEmptyCell(grid[idx(x, y)])) return true;
+      }
+    }
+    return false;
+  }
+
+  function pushRowsIn(rows) {
+    for (let i = 0; i < rows.length; i++) moveBlocksUp();
+    rows.forEach((row, i) => {
+      const y = HEIGHT - rows.length + i;
+      for (let x = 0; x < WIDTH; x++) {
+        grid[idx(x, y)] = copyCell(row[x]);
+        registerCell(x, y);
+      }
+    });
+  }
+
+  function spawnBlocks(spawnOptions = {}) {
+    // opening marks the rows a new game starts with
+    const { animateSettle = animate && !simulating, onComplete = null, forced = false, opening = false } = spawnOptions;
+    if (gameOver) return;
+    if (!nextRows) nextRows = generateNextRows();
+    let attempts = 0;
+    while (rowsWouldClear(nextRows) && attempts < rules.rerollAttempts) {
+      nextRows = generateNextRows();
+      attempts++;
+    }
+    if (attempts >= rules.rerollAttempts) {
+      nextRows = [makeEmptyRow(WIDTH)];
+    }
+    if (areTopRowsOccupied(nextRows.length)) {
+      // Pushing the board up now would drop blocks off the top
+      endGame("toppedOut");
+      return;
+    }
+    pushRowsIn(nextRows);
+    emit("spawn", { rows: nextRows.map((row) => row.map((cell) => copyCell(cell))), forced, opening });
+
+    // Simulated spawns must not reveal rows the player cannot see yet
+    nextRows = simulating ? [makeEmptyRow(WIDTH)] : generateNextRows();
+    settleBoard({ animate: animateSettle, onComplete });
+  }
+
+  // Spawns a row outside of a move, e.g. on a timer. Refused mid-move or mid-settle
+  function spawnRow() {
+    if (gameOver || selectedBlock || isBusy()) return false;
+    spawnBlocks({ forced: true, onComplete: () => emit("settled", { score }) });
+    return true;
+  }
+
+  function endGame(reason) {
+    gameOver = {
+      // One of GAME_OVER_REASONS
+      reason,
+      score,
+      linesCleared,
+      moves,
+      rowsSurvived: topLine + 1,
+    };
+    selectedBlock = null;
+    emit("gameOver", { ...gameOver });
+  }
+
+  function newGame(gameOptions = {}) {
+    if (gameOptions.seed !== undefined) seed = gameOptions.seed;
+    if (gameOptions.maxMoves !== undefined) maxMoves = gameOptions.maxMoves;
+    if (gameOptions.undoLimit !== undefined) undoLimit = gameOptions.undoLimit;
+    random = makeRandom(seed);
+    undoStack.length = 0;
+    redoStack.length = 0;
+    undosUsed = 0;
+    for (let i = 0; i < grid.length; i++) {
+      grid[i] = makeCell(COLOR_BACKGROUND);
+    }
+    blocks.clear();
+    topLine = -1;
+    selectedBlock = null;
+    score = 0;
+    linesCleared = 0;
+    combo = 0;
+    moves = 0;
+    movesSinceSpawn = 0;
+    nextRows = null;
+    fallingAnimation = null;
+    lineClearAnimation = null;
+    blockCounter = 0;
+    gameOver = null;
+    for (let i = 0; i < INITIAL_ROWS; i++) {
+      spawnBlocks({ animateSettle: false, opening: true });
+    }
+    emit("newGame", { seed });
+  }
+
+  function captureState() {
+    const snapshotGrid = cloneGridCells(grid);
+    // A lifted block is captured back in its original cells
+    if (selectedBlock) {
+      for (const cell of selectedBlock.baseCells) {
+        snapshotGrid[idx(cell.x, cell.y)] = makeCell(selectedBlock.color, selectedBlock.blockId, selectedBlock.kind);
+      }
+    }
+    return {
+      grid: snapshotGrid,
+      score,
+      linesCleared,
+      combo,
+      moves,
+      movesSinceSpawn,
+      nextRows: nextRows ? nextRows.map((row) => row.map((cell) => copyCell(cell))) : null,
+      topLine,
+      blockCounter,
+      randomState: random.getState(),
+      gameOver: gameOver ? { ...gameOver } : null,
+    };
+  }
+
+  function applyState(state) {
+    // Set first so ids handed out while the grid is restored are not reused
+    blockCounter = state.blockCounter;
+    restoreGridFromSnapshot(state.grid);
+    score = state.score;
+    linesCleared = state.linesCleared;
+    combo = state.combo ?? 0;
+    moves = state.moves;
+    movesSinceSpawn = state.movesSinceSpawn ?? 0;
+    nextRows = state.nextRows ? state.nextRows.map((row) => row.map((cell) => copyCell(cell))) : null;
+    topLine = state.topLine;
+    random.setState(state.randomState);
+    gameOver = state.gameOver ? { ...state.gameOver } : null;
+    selectedBlock = null;
+    fallingAnimation = null;
+    lineClearAnimation = null;
+  }
+
+  function validateState(state) {
+    if (!state || typeof state !== "object") throw new Error("Saved state is missing");
+    if (!isValidCellRow(state.grid, WIDTH * HEIGHT)) throw new Error("Saved grid is corrupt");
+    const validNextRows = state.nextRows === null || (
+      Array.isArray(state.nextRows) &&
+      state.nextRows.length > 0 &&
+      state.nextRows.every((row) => isValidCellRow(row, WIDTH))
+    );
+    if (!validNextRows) throw new Error("Saved next rows are corrupt");
+    for (const key of ["score", "linesCleared", "moves", "topLine", "blockCounter", "randomState"]) {
+      if (!Number.isInteger(state[key])) throw new Error(`Saved ${key} is corrupt`);
+    }
+    for (const key of ["combo", "movesSinceSpawn"]) {
+      if (!isOptionalCount(state[key])) throw new Error(`Saved ${key} is corrupt`);
+    }
+    if (!isValidGameOver(state.gameOver)) throw new Error("Saved game over is corrupt");
+  }
+
+  function serialize() {
+    return {
+      version: SAVE_FORMAT_VERSION,
+      rules: rules.id,
+      width: WIDTH,
+      height: HEIGHT,
+      seed,
+      maxMoves,
+      undoLimit,
+      undosUsed,
+      state: captureState(),
+    };
+  }
+
+  function deserialize(saved) {
+    const data = migrateSave(saved);
+    if (!data || data.version !== SAVE_FORMAT_VERSION) {
+      throw new Error("Unsupported save format version");
+    }
+    if (data.width !== WIDTH || data.height !== HEIGHT) {
+      throw new Error("Save was made for a different board size");
+    }
+    // Saves from before rule sets existed carry no id and can only be classic-sized
+    if (data.rules !== undefined && data.rules !== rules.id) {
+      throw new Error("Save was made with different rules");
+    }
+    if (typeof data.seed !== "string" && !Number.isInteger(data.seed)) throw new Error("Saved seed is corrupt");
+    const validLimits =
+      (data.maxMoves === undefined || data.maxMoves === null || (isCount(data.maxMoves) && data.maxMoves > 0)) &&
+      (data.undoLimit === undefined || data.undoLimit === null || isCount(data.undoLimit)) &&
+      isOptionalCount(data.undosUsed);
+    if (!validLimits) throw new Error("Saved move or undo limits are corrupt");
+    validateState(data.state);
+    seed = data.seed;
+    maxMoves = data.maxMoves ?? null;
+    undoLimit = data.undoLimit ?? null;
+    undosUsed = data.undosUsed ?? 0;
+    random = makeRandom(seed);
+    undoStack.length = 0;
+    redoStack.length = 0;
+    applyState(data.state);
+    emit("load", { seed });
+  }
+
+  function pushHistory(stack, state) {
+    stack.push(state);
+    if (stack.length > MAX_HISTORY) stack.shift();
+  }
+
+  function canUndo() {
+    if (selectedBlock || isBusy() || undoStack.length === 0) return false;
+    return undoLimit === null || undosUsed < undoLimit;
+  }
+
+  function canRedo() {
+    return !selectedBlock && !isBusy() && redoStack.length > 0;
+  }
+
+  function undo() {
+    if (!canUndo()) return false;
+    pushHistory(redoStack, captureState());
+    applyState(undoStack.pop());
+    undosUsed++;
+    emit("undo", { score });
+    return true;
+  }
+
+  function redo() {
+    if (!canRedo()) return false;
+    pushHistory(undoStack, captureState());
+    applyState(redoStack.pop());
+    emit("redo", { score });
+    return true;
+  }
+
+  function undosRemaining() {
+    if (undoLimit === null) return null;
+    return Math.max(0, undoLimit - undosUsed);
+  }
+
+  function blockAt(x, y) {
+    const cell = cellAt(x, y);
+    if (!cell || isEmptyCell(cell)) return null;
+    const block = blocks.get(cell.blockId);
+    return block ? describeBlock(block) : null;
+  }
+
+  function blockById(blockId) {
+    const block = blocks.get(blockId);
+    return block ? describeBlock(block) : null;
+  }
+
+  function listBlocks() {
+    return [...blocks.values()].map(describeBlock);
+  }
+
+  function selectBlock(x, y) {
+    if (gameOver || selectedBlock || isBusy()) return false;
+    const block = blockAt(x, y);
+    if (!block || block.kind === "anchor") return false;
+    removeBlock(block.blockId);
+
+    selectedBlock = {
+      color: block.color,
+      blockId: block.blockId,
+      kind: block.kind,
+      baseCells: block.cells.map((cell) => ({ ...cell })),
+      cells: block.cells.map((cell) => ({ ...cell })),
+      offset: 0,
+    };
+    emit("select", { x, y, blockId: block.blockId, cells: block.cells });
+    return true;
+  }
+
+  function cancelSelection() {
+    if (!selectedBlock) return false;
+    const { baseCells, color, blockId, kind } = selectedBlock;
+    // Put the block back exactly where it was picked up: no gravity, no spawn
+    placeBlock(blockId, color, kind, baseCells);
+    selectedBlock = null;
+    emit("cancel", { blockId, cells: baseCells.map((cell) => ({ ...cell })) });
+    return true;
+  }
+
+  function canPlaceOffset(baseCells, offset) {
+    for (const cell of baseCells) {
+      const targetX = cell.x + offset;
+      if (targetX < 0 || targetX >= WIDTH) return false;
+      if (!isEmptyCell(grid[idx(targetX, cell.y)])) return false;
+    }
+    return true;
+  }
+
+  function applyOffset(offset) {
+    if (!selectedBlock) return;
+    if (offset === selectedBlock.offset) return;
+
+    const direction = offset > selectedBlock.offset ? 1 : -1;
+    let newOffset = selectedBlock.offset;
+    while (newOffset !== offset) {
+      const candidate = newOffset + direction;
+      if (!canPlaceOffset(selectedBlock.baseCells, candidate)) break;
+      newOffset = candidate;
+    }
+
+    if (newOffset === selectedBlock.offset) return;
+
+    const previousOffset = selectedBlock.offset;
+    selectedBlock.offset = newOffset;
+    selectedBlock.cells = selectedBlock.baseCells.map((cell) => ({
+      x: cell.x + selectedBlock.offset,
+      y: cell.y,
+    }));
+    emit("move", { blockId: selectedBlock.blockId, offset: newOffset, from: previousOffset });
+  }
+
+  function applyGravity(gravityOptions = {}) {
+    const { collectMoves = false } = gravityOptions;
+    if (selectedBlock || fallingAnimation || lineClearAnimation) {
+      return { moved: false, moves: [] };
+    }
+    const moves = collectMoves ? [] : null;
+    let movedAny = false;
+    let moved;
+    do {
+      moved = false;
+      for (const block of blocksBottomUp()) {
+        if (block.kind === "anchor") continue;
+        const dropDistance = computeDropDistance(block.cells);
+        if (dropDistance === 0) continue;
+        const { blockId, color, kind, cells } = block;
+        removeBlock(blockId);
+        placeBlock(blockId, color, kind, cells.map((cell) => ({ x: cell.x, y: cell.y + dropDistance })));
+        if (collectMoves) {
+          moves.push({
+            cells: cells.map((blockCell) => ({ ...blockCell })),
+            color,
+            blockId,
+            kind,
+            dropDistance,
+          });
+        }
+        moved = true;
+        movedAny = true;
+      }
+    } while (moved);
+
+    return { moved: movedAny, moves: moves || [] };
+  }
+
+  // Blocks by their lowest row, bottom first, then left to right along it
+  function blocksBottomUp() {
+    const ordered = [...blocks.values()].map((block) => {
+      const bottom = Math.max(...block.cells.map((cell) => cell.y));
+      const left = Math.min(...block.cells.filter((cell) => cell.y === bottom).map((cell) => cell.x));
+      return { block, bottom, left };
+    });
+    ordered.sort((a, b) => b.bottom - a.bottom || a.left - b.left);
+    return ordered.map(({ block }) => block);
+  }
+
+  function collectFullLines() {
+    const rows = [];
+    for (let y = 0; y < HEIGHT; y++) {
+      let isFull = true;
+      for (let x = 0; x < WIDTH; x++) {
+        if (isEmptyCell(grid[idx(x, y)])) {
+          isFull = false;
+          break;
+        }
+      }
+      if (isFull) rows.push(y);
+    }
+    return rows;
+  }
+
+  // Cells outside the cleared rows caught by bombs in them. Bombs caught in a
+  // blast go off as well
+  function collectBlastCells(rows) {
+    const rowSet = new Set(rows);
+    const blast = [];
+    const seen = new Set();
+    const bombs = [];
+    for (const y of rows) {
+      for (let x = 0; x < WIDTH; x++) {
+        if (grid[idx(x, y)].kind === "bomb") bombs.push({ x, y });
+      }
+    }
+    while (bombs.length > 0) {
+      const bomb = bombs.pop();
+      for (let dy = -BOMB_RADIUS; dy <= BOMB_RADIUS; dy++) {
+        for (let dx = -BOMB_RADIUS; dx <= BOMB_RADIUS; dx++) {
+          const x = bomb.x + dx;
+          const y = bomb.y + dy;
+          const key = cellKey(x, y);
+          if (!isInside(x, y) || rowSet.has(y) || seen.has(key)) continue;
+          seen.add(key);
+          const cell = grid[idx(x, y)];
+          if (isEmptyCell(cell)) continue;
+          blast.push({ x, y });
+          if (cell.kind === "bomb") bombs.push({ x, y });
+        }
+      }
+    }
+    return blast;
+  }
+
+  // Groups of at least rules.colorMatchSize same-colored cells, joined across
+  // blocks. Rainbow cells join a group of any color but cannot start one
+  function collectColorGroups() {
+    const minSize = rules.colorMatchSize ?? 0;
+    if (minSize <= 0) return [];
+    const groups = [];
+    for (const color of BLOCK_COLORS) {
+      const seen = new Set();
+      for (let y = 0; y < HEIGHT; y++) {
+        for (let x = 0; x < WIDTH; x++) {
+          const start = grid[idx(x, y)];
+          if (start.color !== color || start.kind === "rainbow" || seen.has(cellKey(x, y))) continue;
+          const group = [];
+          const toVisit = [{ x, y }];
+          seen.add(cellKey(x, y));
+          while (toVisit.length > 0) {
+            const current = toVisit.pop();
+            group.push(current);
+            for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+              const nx = current.x + dx;
+              const ny = current.y + dy;
+              const key = cellKey(nx, ny);
+              if (!isInside(nx, ny) || seen.has(key) || !colorsMatch(start, grid[idx(nx, ny)])) continue;
+              seen.add(key);
+              toVisit.push({ x: nx, y: ny });
+            }
+          }
+          if (group.length >= minSize) groups.push(group);
+        }
+      }
+    }
+    return groups;
+  }
+
+  // Everything one settle step clears: full rows, color groups when the rules
+  // match colors, and whatever bombs in the cleared rows take with them.
+  // Returns null when nothing clears
+  function collectClear() {
+    const rows = collectFullLines();
+    const groups = collectColorGroups();
+    if (rows.length === 0 && groups.length === 0) return null;
+    const rowSet = new Set(rows);
+    const matchedKeys = new Set();
+    const matchedCells = [];
+    for (const group of groups) {
+      for (const cell of group) {
+        const key = cellKey(cell.x, cell.y);
+        if (rowSet.has(cell.y) || matchedKeys.has(key)) continue;
+        matchedKeys.add(key);
+        matchedCells.push(cell);
+      }
+    }
+    const blastCells = collectBlastCells(rows).filter((cell) => !matchedKeys.has(cellKey(cell.x, cell.y)));
+    return { rows, groups: groups.length, matchedCells, blastCells };
+  }
+
+  function clearLines(clear) {
+    const { rows, matchedCells, blastCells } = clear;
+    const touchedBlocks = new Set();
+    const clearCell = (x, y) => {
+      const cell = grid[idx(x, y)];
+      if (cell.blockId !== null) touchedBlocks.add(cell.blockId);
+      grid[idx(x, y)] = makeCell(COLOR_BACKGROUND);
+    };
+    for (const y of rows) {
+      for (let x = 0; x < WIDTH; x++) clearCell(x, y);
+    }
+    for (const cell of [...matchedCells, ...blastCells]) clearCell(cell.x, cell.y);
+    splitBrokenBlocks(touchedBlocks);
+  }
+
+  // Cells of one block grouped into the pieces that still touch each other
+  function connectedParts(cells) {
+    const remaining = new Map(cells.map((cell) => [cellKey(cell.x, cell.y), cell]));
+    const parts = [];
+    for (const start of cells) {
+      if (!remaining.delete(cellKey(start.x, start.y))) continue;
+      const part = [];
+      const toVisit = [start];
+      while (toVisit.length > 0) {
+        const current = toVisit.pop();
+        part.push(current);
+        for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+          const key = cellKey(current.x + dx, current.y + dy);
+          if (!remaining.has(key)) continue;
+          toVisit.push(remaining.get(key));
+          remaining.delete(key);
+        }
+      }
+      parts.push(part);
+    }
+    return parts;
+  }
+
+  // A block cut in two keeps its id for the part that comes first in reading
+  // order; the others get new ids, handed out in reading order too, so gravity
+  // and selection treat them as blocks of their own
+  function splitBrokenBlocks(blockIds) {
+    const parts = [];
+    for (const blockId of blockIds) {
+      const block = blocks.get(blockId);
+      if (!block) continue;
+      block.cells = block.cells.filter((cell) => grid[idx(cell.x, cell.y)].blockId === blockId);
+      if (block.cells.length === 0) {
+        blocks.delete(blockId);
+        continue;
+      }
+      for (const cells of connectedParts(block.cells)) {
+        const first = cells.reduce((best, cell) =>
+          cell.y < best.y || (cell.y === best.y && cell.x < best.x) ? cell : best
+        );
+        parts.push({ block, cells, first });
+      }
+    }
+    parts.sort((a, b) => a.first.y - b.first.y || a.first.x - b.first.x);
+    const keptBlocks = new Set();
+    for (const { block, cells } of parts) {
+      if (!keptBlocks.has(block.blockId)) {
+        keptBlocks.add(block.blockId);
+        block.cells = cells;
+        continue;
+      }
+      placeBlock(nextBlockId(), block.color, block.kind, cells);
+    }
+  }
+
+  function awardClear(clear, chain) {
+    const { rows, groups, matchedCells, blastCells } = clear;
+    const previousLevel = currentLevel();
+    chain.cascade++;
+    chain.lines += rows.length;
+    chain.groups += groups;
+    const counts = {
+      lines: rows.length,
+      groups,
+      matched: matchedCells.length,
+      blasted: blastCells.length,
+      cascade: chain.cascade,
+      combo,
+    };
+    const award = {
+      rows: [...rows],
+      matchedCells: matchedCells.map((cell) => ({ ...cell })),
+      ...counts,
+      points: scoreClear(counts),
+    };
+    score += award.points;
+    linesCleared += rows.length;
+    emit("linesCleared", award);
+    if (currentLevel() > previousLevel) emit("levelUp", { level: currentLevel() });
+    return award;
+  }
+
+  // chain tracks every clear of one settle run so later clears count as cascades
+  function settleBoard(settleOptions = {}) {
+    const {
+      animate: animateSettle = true,
+      onComplete = null,
+      chain = { cascade: 0, lines: 0, groups: 0 },
+    } = settleOptions;
+    const continueSettling = () => settleBoard({ animate: true, onComplete, chain });
+    if (!animateSettle) {
+      let totalCleared = 0;
+      while (true) {
+        applyGravity();
+        const clear = collectClear();
+        if (!clear) break;
+        awardClear(clear, chain);
+        clearLines(clear);
+        totalCleared += clear.rows.length + clear.groups;
+      }
+      if (onComplete) onComplete();
+      return totalCleared;
+    }
+
+    if (fallingAnimation) {
+      fallingAnimation.after.push(continueSettling);
+      return 0;
+    }
+
+    if (lineClearAnimation) {
+      lineClearAnimation.after.push(continueSettling);
+      return 0;
+    }
+
+    const gravityResult = applyGravity({ collectMoves: true });
+    if (gravityResult.moves.length > 0) {
+      startFallAnimation(gravityResult.moves, {
+        after: continueSettling,
+      });
+      return 0;
+    }
+
+    const clear = collectClear();
+    if (clear) {
+      const award = awardClear(clear, chain);
+      startLineClearAnimation(clear, {
+        award,
+        finalize: () => clearLines(clear),
+        after: continueSettling,
+      });
+      return 0;
+    }
+
+    if (onComplete) onComplete();
+    return 0;
+  }
+
+  function hasMovableCell() {
+    for (const block of blocks.values()) {
+      if (block.kind !== "anchor") return true;
+    }
+    return false;
+  }
+
+  function finalizePlacement(placement) {
+    const { cells, color, blockId, kind, dropDistance, shouldSpawn } = placement;
+    placeBlock(blockId, color, kind, cells.map((cell) => ({ x: cell.x, y: cell.y + dropDistance })));
+    const chain = { cascade: 0, lines: 0, groups: 0 };
+    settleBoard({
+      animate: animate && !simulating,
+      chain,
+      onComplete: () => {
+        // Drops in place neither extend nor break a combo
+        const cleared = chain.lines > 0 || chain.groups > 0;
+        if (shouldSpawn || cleared) combo = cleared ? combo + 1 : 0;
+        const notifySettled = () => {
+          if (!gameOver && maxMoves !== null && moves >= maxMoves) endGame("outOfMoves");
+          emit("settled", { score });
+        };
+        if (shouldSpawn) movesSinceSpawn++;
+        // A board cleared down to nothing movable gets its next row right away
+        const spawnDue = movesSinceSpawn >= currentLevelSettings().movesPerSpawn || !hasMovableCell();
+        if (shouldSpawn && spawnDue) {
+          movesSinceSpawn = 0;
+          spawnBlocks({ onComplete: notifySettled });
+        } else {
+          notifySettled();
+        }
+      },
+    });
+  }
+
+  function startLineClearAnimation(clear, animationOptions = {}) {
+    const { rows, matchedCells, blastCells } = clear;
+    lineClearAnimation = {
+      rows: [...rows],
+      rowSet: new Set(rows),
+      // Cells of color groups, drawn with their own animation
+      matchedCells: matchedCells.map((cell) => ({ ...cell })),
+      matchedSet: new Set(matchedCells.map((cell) => cellKey(cell.x, cell.y))),
+      // Cells outside the rows that bombs take with them
+      blastCells: blastCells.map((cell) => ({ ...cell })),
+      blastSet: new Set(blastCells.map((cell) => cellKey(cell.x, cell.y))),
+      award: animationOptions.award ?? null,
+      finalize: animationOptions.finalize || null,
+      after: animationOptions.after ? [animationOptions.after] : [],
+    };
+  }
+
+  function startFallAnimation(moves, animationOptions = {}) {
+    if (!moves || moves.length === 0) return;
+    const clonedMoves = moves.map((move) => ({
+      cells: move.cells.map((cell) => ({ ...cell })),
+      color: move.color,
+      blockId: move.blockId,
+      kind: move.kind,
+      dropDistance: move.dropDistance,
+    }));
+    fallingAnimation = {
+      moves: clonedMoves,
+      maxDrop: clonedMoves.reduce((max, move) => Math.max(max, move.dropDistance), 0),
+      finalize: animationOptions.finalize || null,
+      after: animationOptions.after ? [animationOptions.after] : [],
+      // Player drops are highlighted, gravity falls keep their length border
+      isPlayerDrop: Boolean(animationOptions.isPlayerDrop),
+    };
+    emit("fall", { moves: clonedMoves });
+  }
+
+  function finishFallAnimation() {
+    const completedAnimation = fallingAnimation;
+    if (!completedAnimation) return;
+    fallingAnimation = null;
+    if (typeof completedAnimation.finalize === "function") {
+      completedAnimation.finalize(completedAnimation.moves);
+    }
+    const callbacks = completedAnimation.after.slice();
+    for (const cb of callbacks) cb();
+  }
+
+  function finishLineClearAnimation() {
+    const completedAnimation = lineClearAnimation;
+    if (!completedAnimation) return;
+    lineClearAnimation = null;
+    if (typeof completedAnimation.finalize === "function") {
+      completedAnimation.finalize(completedAnimation.rows);
+    }
+    const callbacks = completedAnimation.after.slice();
+    for (const cb of callbacks) cb();
+  }
+
+  function dropSelectedBlock() {
+    if (!selectedBlock) return null;
+    const { cells, color, blockId, kind, offset } = selectedBlock;
+    const dropDistance = computeDropDistance(cells);
+    const movedHorizontally = offset !== 0;
+
+    const placement = {
+      cells: cells.map((cell) => ({ ...cell })),
+      color,
+      blockId,
+      kind,
+      dropDistance,
+      offset,
+      shouldSpawn: movedHorizontally,
+    };
+
+    selectedBlock = null;
+    return placement;
+  }
+
+  function drop() {
+    if (!selectedBlock) return false;
+    // Moves that leave the block in place are not worth an undo step
+    if (selectedBlock.offset !== 0) {
+      pushHistory(undoStack, captureState());
+      redoStack.length = 0;
+    }
+    const placement = dropSelectedBlock();
+    if (!placement) return false;
+    const { dropDistance, shouldSpawn, cells, color, blockId, kind } = placement;
+    if (shouldSpawn) moves++;
+    emit("drop", placement);
+    if (dropDistance === 0 || !animate) {
+      finalizePlacement(placement);
+    } else {
+      startFallAnimation([
+        { cells, color, blockId, kind, dropDistance },
+      ], {
+        finalize: () => finalizePlacement(placement),
+        isPlayerDrop: true,
+      });
+    }
+    return true;
+  }
+
+  function computeDropDistance(cells) {
+    let dropDistance = 0;
+    outer: while (true) {
+      for (const cell of cells) {
+        const targetY = cell.y + dropDistance + 1;
+        if (targetY >= HEIGHT) break outer;
+        if (!isEmptyCell(grid[idx(cell.x, targetY)])) break outer;
+      }
+      dropDistance++;
+    }
+    return dropDistance;
+  }
+
+  // Runs fn against the live board with events muted, then restores every bit of state
+  function simulate(fn) {
+    const snapshot = captureState();
+    const wasSimulating = simulating;
+    simulating = true;
+    try {
+      return fn();
+    } finally {
+      applyState(snapshot);
+      simulating = wasSimulating;
+    }
+  }
+
+  // Offsets a lifted block can slide to, walking outwards like applyOffset does
+  function reachableOffsets(baseCells) {
+    const offsets = [];
+    for (const direction of [-1, 1]) {
+      for (let offset = direction; canPlaceOffset(baseCells, offset); offset += direction) {
+        offsets.push(offset);
+      }
+    }
+    return offsets;
+  }
+
+  // Every move that would count: one entry per block and reachable non-zero offset
+  function legalMoves() {
+    if (gameOver || selectedBlock || isBusy()) return [];
+    return simulate(() => {
+      const found = [];
+      const seen = new Set();
+      for (let y = 0; y < HEIGHT; y++) {
+        for (let x = 0; x < WIDTH; x++) {
+          const cell = grid[idx(x, y)];
+          if (isEmptyCell(cell) || cell.blockId === null || seen.has(cell.blockId)) continue;
+          seen.add(cell.blockId);
+          if (isAnchoredCell(cell)) continue;
+          const { blockId, color, kind, cells } = removeBlock(cell.blockId);
+          for (const offset of reachableOffsets(cells)) {
+            found.push({ x, y, offset, blockId });
+          }
+          placeBlock(blockId, color, kind, cells);
+        }
+      }
+      return found;
+    });
+  }
+
+  // Only meant to run inside simulate: no history, no animation, no events
+  function playSimulatedMove(move) {
+    if (gameOver || !selectBlock(move.x, move.y)) return null;
+    applyOffset(move.offset);
+    if (selectedBlock.offset !== move.offset) return null;
+    const placement = dropSelectedBlock();
+    if (placement.shouldSpawn) moves++;
+    finalizePlacement(placement);
+    return placement;
+  }
+
+  // Plays a move to completion without animation or events and reports the outcome.
+  // Returns null when the move could not be made as given
+  function simulateMove(move) {
+    if (gameOver || selectedBlock || isBusy()) return null;
+    return simulate(() => {
+      const before = { score, linesCleared, topLine };
+      const placement = playSimulatedMove(move);
+      if (!placement) return null;
+      const { cells, color, blockId, dropDistance } = placement;
+      return {
+        move: { x: move.x, y: move.y, offset: move.offset },
+        blockId,
+        color,
+        cells: cells.map((cell) => ({ x: cell.x, y: cell.y + dropDistance })),
+        points: score - before.score,
+        lines: linesCleared - before.linesCleared,
+        rowsSpawned: topLine - before.topLine,
+        gameOver: gameOver ? gameOver.reason : null,
+        grid: cloneGridCells(grid),
+      };
+    });
+  }
+
+  // Calls fn with the board as it would be after the given moves, e.g. to search
+  // one move deeper, then restores it. Returns null when a move could not be made
+  function withSimulatedMoves(moveList, fn) {
+    if (gameOver || selectedBlock || isBusy()) return null;
+    return simulate(() => {
+      for (const move of moveList) {
+        if (!playSimulatedMove(move)) return null;
+      }
+      return fn();
+    });
+  }
+
+  return {
+    rules,
+    width: WIDTH,
+    height: HEIGHT,
+    get seed() { return seed; },
+    blockColors: BLOCK_COLORS,
+    get grid() { return grid; },
+    get score() { return score; },
+    get linesCleared() { return linesCleared; },
+    get combo() { return combo; },
+    get level() { return currentLevel(); },
+    get movesUntilSpawn() { return currentLevelSettings().movesPerSpawn - movesSinceSpawn; },
+    get moves() { return moves; },
+    get maxMoves() { return maxMoves; },
+    get nextRows() { return nextRows; },
+    get topLine() { return topLine; },
+    get blockCounter() { return blockCounter; },
+    get selectedBlock() { return selectedBlock; },
+    get fallingAnimation() { return fallingAnimation; },
+    get lineClearAnimation() { return lineClearAnimation; },
+    get gameOver() { return gameOver; },
+    on,
+    idx,
+    cellAt,
+    blockAt,
+    blockById,
+    listBlocks,
+    isBusy,
+    newGame,
+    spawn: spawnRow,
+    selectBlock,
+    moveSelected: applyOffset,
+    drop,
+    cancelSelection,
+    canUndo,
+    canRedo,
+    undo,
+    redo,
+    undosRemaining,
+    serialize,
+    deserialize,
+    computeDropDistance,
+    legalMoves,
+    simulateMove,
+    withSimulatedMoves,
+    finishFallAnimation,
+    finishLineClearAnimation,
+  };
+}
+
+if (typeof module !== "undefined") {
+  module.exports = {
+    COLOR_BACKGROUND,
+    BLOCK_COLORS,
+    makeCell,
+    copyCell,
+    isEmptyCell,
+    cellKey,
+    cloneGridCells,
+    SAVE_FORMAT_VERSION,
+    createGameEngine,
+  };
+}
@@ -0,0 +1,71 @@
+// Picks a move for the player by trying every legal one on a simulated board
+// and scoring what is left behind.
+
+if (typeof module !== "undefined") {
+  // In the browser these come from the engine.js script tag instead
+  var { isEmptyCell } = require("./engine.js");
+}
+
+const HINT_WEIGHTS = {
+  points: 1,
+  // Rewards rows that are close to full, squared so one nearly full row beats two half rows
+  rowFill: 60,
+  holes: -25,
+  stackHeight: -8,
+  gameOver: -100000,
+};
+
+function boardFeatures(grid, width, height) {
+  let rowFill = 0;
+  let holes = 0;
+  let stackHeight = 0;
+  for (let y = 0; y < height; y++) {
+    let filled = 0;
+    for (let x = 0; x < width; x++) {
+      if (!isEmptyCell(grid[y * width + x])) filled++;
+    }
+    rowFill += (filled / width) ** 2;
+    if (filled > 0 && stackHeight === 0) stackHeight = height - y;
+  }
+  for (let x = 0; x < width; x++) {
+    let covered = false;
+    for (let y = 0; y < height; y++) {
+      const empty = isEmptyCell(grid[y * width + x]);
+      if (!empty) covered = true;
+      else if (covered) holes++;
+    }
+  }
+  return { rowFill, holes, stackHeight };
+}
+
+function evaluateOutcome(outcome, width, height, weights = HINT_WEIGHTS) {
+  const features = boardFeatures(outcome.grid, width, height);
+  return (
+    outcome.points * weights.points +
+    features.rowFill * weights.rowFill +
+    features.holes * weights.holes +
+    features.stackHeight * weights.stackHeight +
+    (outcome.gameOver ? weights.gameOver : 0)
+  );
+}
+
+// Returns the best simulated outcome with its value, or null when nothing can move
+function findBestMove(engine, weights = HINT_WEIGHTS) {
+  let best = null;
+  for (const move of engine.legalMoves()) {
+    const outcome = engine.simulateMove(move);
+    if (!outcome) continue;
+    const value = evaluateOutcome(outcome, engine.width, engine.height, weights);
+    if (!best || value > best.value) best = { ...outcome, value };
+  }
+  return best;
+}
+
+if (typeof module !== "undefined") {
+  module.exports = {
+    HINT_WEIGHTS,
+    boardFeatures,
+    evaluateOutcome,
+    findBestMove,
+  };
+}
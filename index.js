@@ -1,168 +1,649 @@
 const game = /** @type {HTMLCanvasElement} */(document.getElementById("game"));
 if (!game) throw new Error("no canvas");
-const ctx  = /** @type {CanvasRenderingContext2D} */(game.getContext("2d"));
-
-const WIDTH = 10, HEIGHT = 20, CELL_SIZE = 35;
-const COLOR_BACKGROUND = "#1b1f32";
-const MAX_BLOCK_SPAWN = 7;
-const BORDER_DEFAULT = "#273244";
-const BORDER_HOVER = "#f0c987";
-const BORDER_SELECTED = "#7bdff2";
-const PREVIEW_ROWS = 1;
+// Reassigned while the board layer is redrawn, see drawOnBoardLayer
+let ctx = /** @type {CanvasRenderingContext2D} */(game.getContext("2d"));
+
+const urlParams = new URLSearchParams(window.location.search);
+// A seed from the URL pins every game on this page to the same rows
+const urlSeed = urlParams.get("seed");
+// ?undos=N limits undos per classic game, 0 is hardcore
+const urlUndoLimit = urlParams.has("undos")
+  ? Math.max(0, Number.parseInt(urlParams.get("undos"), 10) || 0)
+  : null;
+const GAME_MODES = ["classic", "daily", "timed"];
+let mode = GAME_MODES.includes(urlParams.get("mode")) ? urlParams.get("mode") : "classic";
+let dailyDate = null;
+let copyFeedbackUntil = 0;
+const RULES_STORAGE_KEY = "reverse-tetris:rules";
+// ?rules= wins over the preset last picked in the toolbar
+const urlRules = urlParams.get("rules");
+const rules = resolveRules(isRulesId(urlRules) ? urlRules : readStoredJson(RULES_STORAGE_KEY));
+const engine = createGameEngine({ seed: urlSeed ?? randomSeed(), rules });
+// Registered before anything else listens so saves see the updated log
+const recorder = createReplayRecorder(engine, { now: () => performance.now() });
+const statsTracker = createStatsTracker(engine, { mode: () => mode });
+const WIDTH = engine.width, HEIGHT = engine.height, CELL_SIZE = rules.cellSize;
+const PREVIEW_ROWS = rules.previewRows;
 const CELL_MARGIN = 4;
-const CELL_GAP_COLOR = "#161b26";
 const GHOST_FILL_ALPHA = 0.2;
 const GHOST_BORDER_ALPHA = 0.65;
-const TEXT_COLOR = "#e2e8f0";
-const LABEL_COLOR = "#cbd5f5";
-const BLOCK_COLORS = ["#8ab6f9", "#f5b0e3", "#9fd8c0", "#f8d89e"];
-const BORDER_COLORS_BY_LENGTH = {
-  1: "#f0c987",
-  2: "#7ec4cf",
-  3: "#9f87af",
-  4: "#6c8ebf",
-  default: "#cbd5f5",
-};
 const FALL_ANIMATION_PER_ROW = 120; // ms per row drop
 const MIN_FALL_DURATION = 120;
 const LINE_CLEAR_DURATION = 200;
-game.width = WIDTH * CELL_SIZE; 
-game.height = (HEIGHT + PREVIEW_ROWS) * CELL_SIZE;
+const COPY_FEEDBACK_DURATION = 1500;
+// CSS pixels a press has to travel before it picks a block up
+const DRAG_THRESHOLD = 8;
+const VIEWPORT_PADDING = 16;
+const MAX_CANVAS_SCALE = 2;
+const CONTROL_BAR_HEIGHT = 44;
+const CONTROL_BAR_PADDING = 6;
+const SAVE_STORAGE_KEY = "reverse-tetris:save";
+// Each rule set keeps its own saved game so switching boards loses nothing
+const saveStorageKey = rules.id === DEFAULT_RULES_ID ? SAVE_STORAGE_KEY : `${SAVE_STORAGE_KEY}:${rules.id}`;
+const TIDE_BAR_HEIGHT = 4;
+const TIDE_WARNING_FRACTION = 0.25;
+// How long a due row waits for a held block before the block is put back
+const TIDE_DRAG_GRACE = 1000;
+const SCORE_POPUP_DURATION = 900;
+// How far a popup floats up over its lifetime, in cells
+const SCORE_POPUP_RISE = 1.5;
+// Drawing coordinates are CSS pixels; the backing stores are devicePixelRatio
+// times larger so the board stays sharp on HiDPI screens
+const CANVAS_WIDTH = WIDTH * CELL_SIZE;
+const BOARD_AREA_HEIGHT = (HEIGHT + PREVIEW_ROWS) * CELL_SIZE;
+const CANVAS_HEIGHT = BOARD_AREA_HEIGHT + CONTROL_BAR_HEIGHT;
+// The board and preview only change with the grid, so they are drawn here
+// once per change and copied onto the canvas each frame
+const boardLayer = document.createElement("canvas");
+const boardLayerContext = boardLayer.getContext("2d");
+// What the board layer was last drawn from; null when it needs redrawing
+let boardCache = null;
+let pixelRatio = 0;
+let frameRequest = null;
 
-const idx = (x, y) => y * WIDTH + x;
-
-function makeCell(color, blockId = null) {
-  return { color, blockId };
+function borderColorForLength(length) {
+  if (!length) return theme.border;
+  return theme.lengthBorders[length] || theme.lengthBorders.default;
 }
 
-function copyCell(cell) {
-  return { color: cell.color, blockId: cell.blockId };
+let hoveredBlock = null;
+let pointerStartX = 0;
+// True while the selected block follows a pointer rather than the keyboard
+let isDragging = false;
+// The single pointer we track from press to release; other touches are ignored
+let activePointer = null;
+const cursor = { x: Math.floor(WIDTH / 2), y: HEIGHT - 1, visible: false };
+// Set while a replay drives the engine; player input is ignored meanwhile
+let replayPlayer = null;
+// Autoplay drives the live game, so its moves are saved and recorded like a player's
+let botPlayer = null;
+const scorePopups = [];
+// Only set in the rising tide mode
+let tideTimer = null;
+// Suggested move from findBestMove, shown until the board changes
+let hint = null;
+const sound = createSoundPlayer();
+const displaySettings = loadDisplaySettings();
+let theme = resolveTheme(displaySettings.theme);
+// Screen reader copy of the board; focusing one of its cells moves the keyboard cursor there
+const boardMirror = createBoardMirror(engine, {
+  grid: document.getElementById("board-grid"),
+  next: document.getElementById("board-next"),
+  announcer: document.getElementById("announcer"),
+}, { cursor, onFocusCell: focusCursorCell });
+// Animation timing is a rendering concern, so start times live here rather than on the engine
+const animationStartTimes = new WeakMap();
+
+// Any engine event may have changed the grid or what is drawn over it
+for (const type of ["newGame", "load", "undo", "redo", "spawn", "select", "move", "cancel", "drop", "fall", "linesCleared", "levelUp", "settled", "gameOver"]) {
+  engine.on(type, invalidateBoard);
+}
+engine.on("select", clearHover);
+engine.on("fall", clearHover);
+// A spawn moves every block up a row, out from under the hover outline
+engine.on("spawn", clearHover);
+engine.on("linesCleared", clearHover);
+engine.on("gameOver", clearHover);
+engine.on("undo", clearHover);
+engine.on("redo", clearHover);
+engine.on("linesCleared", (award) => {
+  scorePopups.push({ award, labels: describeClear(award) });
+});
+engine.on("select", () => sound.pickUp());
+// Games autoplay has a hand in stay off the high score table
+engine.on("select", () => {
+  if (botPlayer) statsTracker.markAssisted();
+});
+for (const type of ["gameOver", "undo", "redo", "newGame"]) {
+  engine.on(type, renderStatsPanel);
+}
+engine.on("move", ({ offset, from }) => sound.slide(Math.abs(offset - from)));
+// Blocks that fall land when their animation ends, see render
+engine.on("drop", ({ dropDistance }) => {
+  if (dropDistance === 0) sound.land(true);
+});
+engine.on("linesCleared", (award) => sound.clear(award.cascade));
+// A new game's opening rows come in silently
+engine.on("spawn", ({ opening }) => {
+  if (!opening) sound.spawn();
+});
+for (const type of ["newGame", "undo", "redo", "load"]) {
+  engine.on(type, () => {
+    scorePopups.length = 0;
+  });
+}
+for (const type of ["newGame", "drop", "spawn", "gameOver", "undo", "redo", "load"]) {
+  engine.on(type, () => {
+    hint = null;
+  });
+}
+for (const type of ["newGame", "settled", "gameOver", "undo", "redo"]) {
+  engine.on(type, saveGame);
 }
 
-function isEmptyCell(cell) {
-  return cell.color === COLOR_BACKGROUND;
+function saveGame() {
+  // Mid-settle states are never written, the next settled event covers them
+  if (replayPlayer || engine.isBusy() || engine.selectedBlock) return;
+  writeStoredJson(saveStorageKey, {
+    mode,
+    dailyDate,
+    game: engine.serialize(),
+    replay: recorder.replay,
+    tide: tideTimer ? tideTimer.serialize() : null,
+    stats: statsTracker.serializeGame(),
+  });
 }
 
-function borderColorForLength(length) {
-  if (!length) return BORDER_DEFAULT;
-  return BORDER_COLORS_BY_LENGTH[length] || BORDER_COLORS_BY_LENGTH.default;
+function restoreSavedGame() {
+  const saved = readStoredJson(saveStorageKey);
+  if (!saved || typeof saved !== "object" || !GAME_MODES.includes(saved.mode)) return false;
+  if (saved.mode !== mode) return false;
+  // Explicit seeds and yesterday's daily start fresh instead of resuming
+  if (mode === "daily" && saved.dailyDate !== dailyDateKey()) return false;
+  if (mode === "classic" && urlSeed !== null && saved.game?.seed !== urlSeed) return false;
+  try {
+    engine.deserialize(saved.game);
+  } catch (error) {
+    console.warn("Discarding saved game:", error.message);
+    removeStored(saveStorageKey);
+    return false;
+  }
+  try {
+    recorder.restore(saved.replay ?? null);
+  } catch (error) {
+    console.warn("Discarding saved replay:", error.message);
+    recorder.restore(null);
+  }
+  statsTracker.restoreGame(saved.stats ?? null);
+  dailyDate = saved.mode === "daily" ? saved.dailyDate : null;
+  tideTimer = saved.mode === "timed" ? createTideTimer(saved.tide) : null;
+  // A resumed timed game waits for the player instead of ticking right away
+  if (tideTimer && !engine.gameOver) tideTimer.setPaused(true);
+  updateModeButtons();
+  return true;
 }
 
-const grid = Array.from({ length: WIDTH * HEIGHT }, () => makeCell(COLOR_BACKGROUND));
-const colors = [...BLOCK_COLORS, COLOR_BACKGROUND];
+function downloadJson(filename, data) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
 
-let topLine = -1;
-let selectedBlock = null;
-let hoveredBlock = null;
-let score = 0;
-let nextRow = null;
-let fallingAnimation = null;
-let lineClearAnimation = null;
-let blockCounter = 0;
+function isStatsPanelOpen() {
+  const panel = document.getElementById("stats-panel");
+  return Boolean(panel) && !panel.hidden;
+}
 
-function nextBlockId() {
-  blockCounter += 1;
-  return blockCounter;
+function setStatsPanelOpen(open) {
+  const panel = document.getElementById("stats-panel");
+  if (!panel) return;
+  panel.hidden = !open;
+  document.getElementById("stats-open")?.classList.toggle("active", open);
+  renderStatsPanel();
 }
 
-function moveBlocksUp() {
-  topLine++;
-  // Shift every cell up by one row
-  for (let y = 1; y < HEIGHT; y++) {
-    for (let x = 0; x < WIDTH; x++) {
-      grid[idx(x, y - 1)] = copyCell(grid[idx(x, y)]);
+function tableRow(values) {
+  const row = document.createElement("tr");
+  for (const value of values) {
+    const cell = document.createElement("td");
+    if (typeof value === "object") {
+      cell.append(value);
+    } else {
+      cell.textContent = String(value);
     }
+    row.appendChild(cell);
   }
-  // Clear bottom row
-  for (let x = 0; x < WIDTH; x++) grid[idx(x, HEIGHT - 1)] = makeCell(COLOR_BACKGROUND);
+  return row;
+}
+
+function renderStatsPanel() {
+  if (!isStatsPanelOpen()) return;
+  const { stats } = statsTracker;
+  const nameInput = document.getElementById("player-name");
+  if (nameInput && document.activeElement !== nameInput) nameInput.value = stats.playerName;
+  const leaderboard = stats.leaderboard.map((run, i) =>
+    tableRow([
+      i + 1,
+      run.name,
+      new Date(run.date).toLocaleDateString(),
+      run.score,
+      run.lines,
+      run.moves,
+      run.rules === DEFAULT_RULES_ID ? run.mode : `${run.mode}, ${run.rules}`,
+      run.seed,
+    ])
+  );
+  if (leaderboard.length === 0) leaderboard.push(tableRow(["", "No finished games yet"]));
+  document.getElementById("leaderboard-rows")?.replaceChildren(...leaderboard);
+  const average = stats.gamesPlayed > 0 ? Math.round(stats.totalScore / stats.gamesPlayed) : 0;
+  document.getElementById("stats-totals")?.replaceChildren(
+    tableRow(["Games played", stats.gamesPlayed]),
+    tableRow(["Average score", average]),
+    tableRow(["Best cascade", stats.bestCascade > 1 ? `×${stats.bestCascade}` : stats.bestCascade]),
+  );
+  const lengths = Object.entries(stats.blocksMovedByLength).sort(([a], [b]) => a - b);
+  document.getElementById("stats-blocks")?.replaceChildren(
+    ...lengths.map(([length, count]) => tableRow([`Length ${length}`, count]))
+  );
+  const histogram = linesHistogram(stats);
+  const mostGames = Math.max(1, ...histogram.map((bucket) => bucket.games));
+  document.getElementById("stats-histogram")?.replaceChildren(
+    ...histogram.map((bucket) => {
+      const bar = document.createElement("span");
+      bar.className = "stats-bar";
+      bar.style.width = `${Math.round((bucket.games / mostGames) * 200)}px`;
+      const value = document.createElement("span");
+      value.append(bar, String(bucket.games));
+      return tableRow([`${bucket.label} lines`, value]);
+    })
+  );
 }
 
-function generateNextRow() {
-  const row = Array.from({ length: WIDTH }, () => makeCell(COLOR_BACKGROUND));
-  let spawned = 0;
-  let x = 0;
+function exportStats() {
+  downloadJson("reverse-tetris-stats.json", statsTracker.exportData());
+}
 
-  while (x < WIDTH && spawned < MAX_BLOCK_SPAWN) {
-    const maxLen = Math.min(4, MAX_BLOCK_SPAWN - spawned, WIDTH - x);
-    if (maxLen <= 0) break;
+function importStats(file) {
+  file
+    .text()
+    .then((text) => {
+      const data = JSON.parse(text);
+      if (!window.confirm("Replace your high scores and statistics with the imported ones?")) return;
+      statsTracker.importData(data);
+      renderStatsPanel();
+    })
+    .catch((error) => window.alert(`Could not import stats: ${error.message}`));
+}
 
-    const color = colors[Math.floor(Math.random() * colors.length)];
-    const len = 1 + Math.floor(Math.random() * maxLen); // 1..maxLen
+function exportReplay() {
+  const replay = recorder.replay;
+  if (!replay) return;
+  downloadJson(`reverse-tetris-replay-${replay.seed}.json`, replay);
+}
 
-    const blockId = color === COLOR_BACKGROUND ? null : nextBlockId();
-    for (let bx = 0; bx < len && x + bx < WIDTH; bx++) {
-      row[x + bx] = color === COLOR_BACKGROUND
-        ? makeCell(COLOR_BACKGROUND)
-        : makeCell(color, blockId);
-    }
-    if (color !== COLOR_BACKGROUND) spawned += len;
-    x += len;
+function importReplay(file) {
+  file
+    .text()
+    .then((text) => startReplay(parseReplay(JSON.parse(text))))
+    .catch((error) => window.alert(`Could not import replay: ${error.message}`));
+}
+
+function startReplay(replay) {
+  stopBot();
+  cancelDrag();
+  if (engine.selectedBlock) engine.cancelSelection();
+  saveGame();
+  recorder.setEnabled(false);
+  statsTracker.setEnabled(false);
+  // Timed rows come from the replay log while it plays
+  tideTimer = null;
+  replayPlayer = createReplayPlayer(engine, replay);
+  try {
+    replayPlayer.start();
+  } catch (error) {
+    stopReplay();
+    window.alert(`Could not play replay: ${error.message}`);
+    return;
   }
+  clearHover();
+  updateReplayControls();
+}
 
-  return row;
+function stopReplay() {
+  if (!replayPlayer) return;
+  replayPlayer = null;
+  recorder.setEnabled(true);
+  statsTracker.setEnabled(true);
+  // Saves are skipped during playback, so the stored game is the one we left
+  if (!restoreSavedGame()) startGame();
+  updateReplayControls();
+}
+
+function updateReplayControls() {
+  const controls = document.getElementById("replay-controls");
+  if (controls) controls.hidden = !replayPlayer;
+  const pauseButton = document.getElementById("replay-pause");
+  if (pauseButton && replayPlayer) {
+    pauseButton.textContent = replayPlayer.paused ? "Play" : "Pause";
+  }
+  for (const id of ["replay-watch", "replay-export", "replay-import"]) {
+    const button = document.getElementById(id);
+    if (button) button.disabled = Boolean(replayPlayer);
+  }
+  fitCanvasToViewport();
+}
+
+function toggleReplayPause() {
+  if (!replayPlayer) return;
+  replayPlayer.setPaused(!replayPlayer.paused);
+  updateReplayControls();
+}
+
+function startBot() {
+  if (replayPlayer || botPlayer) return;
+  cancelDrag();
+  if (engine.selectedBlock) engine.cancelSelection();
+  clearHover();
+  hint = null;
+  botPlayer = createBotPlayer(engine, {
+    strategy: document.getElementById("bot-strategy")?.value,
+    speed: Number(document.getElementById("bot-speed")?.value ?? 1),
+  });
+  updateBotControls();
 }
 
-function cloneGridCells(sourceGrid) {
-  return sourceGrid.map((cell) => copyCell(cell));
+function stopBot() {
+  if (!botPlayer) return;
+  botPlayer = null;
+  updateBotControls();
 }
 
-function restoreGridFromSnapshot(snapshotGrid) {
-  for (let i = 0; i < grid.length; i++) {
-    grid[i] = copyCell(snapshotGrid[i]);
+function updateBotControls() {
+  const controls = document.getElementById("bot-controls");
+  if (controls) controls.hidden = !botPlayer;
+  const startButton = document.getElementById("bot-start");
+  if (startButton) startButton.disabled = Boolean(botPlayer);
+  fitCanvasToViewport();
+}
+
+function isTidePaused() {
+  return Boolean(tideTimer && tideTimer.paused);
+}
+
+function setTidePaused(value) {
+  if (!tideTimer || engine.gameOver) return;
+  if (value) cancelDrag();
+  tideTimer.setPaused(value);
+  requestRender();
+}
+
+function updateTide(timestamp) {
+  if (!tideTimer) return;
+  tideTimer.update(timestamp);
+  if (!tideTimer.due || tideTimer.paused || engine.gameOver || engine.isBusy()) return;
+  if (engine.selectedBlock) {
+    // Holding a block cannot stall the tide forever
+    if (tideTimer.overdue < TIDE_DRAG_GRACE) return;
+    cancelDrag();
+    engine.cancelSelection();
   }
+  if (engine.spawn()) tideTimer.restart();
 }
 
-function rowWouldClearLines(row) {
-  if (!row) return false;
-  const snapshot = {
-    grid: cloneGridCells(grid),
-    topLine,
-    score,
-    hoveredBlock,
-    selectedBlock,
-    fallingAnimation,
+function canShowHint() {
+  return !replayPlayer && !botPlayer && !isTidePaused() && !engine.gameOver && !engine.selectedBlock && !engine.isBusy();
+}
+
+function showHint() {
+  if (!canShowHint()) return;
+  const best = findBestMove(engine);
+  if (!best) return;
+  const block = engine.blockAt(best.move.x, best.move.y);
+  hint = {
+    color: best.color,
+    blockId: best.blockId,
+    cells: block ? block.cells : [],
+    targetCells: best.cells,
   };
-  hoveredBlock = null;
-  selectedBlock = null;
-  fallingAnimation = null;
-  moveBlocksUp();
-  const y = HEIGHT - 1;
-  for (let x = 0; x < WIDTH; x++) {
-    grid[idx(x, y)] = copyCell(row[x]);
+}
+
+function handleReplayKey(evt) {
+  switch (evt.key) {
+    case " ":
+      toggleReplayPause();
+      return true;
+    case "ArrowRight":
+      replayPlayer.step();
+      return true;
+    case "Escape":
+      stopReplay();
+      return true;
+    default:
+      return false;
+  }
+}
+
+function startGame() {
+  // A fresh game hands control back to the player
+  stopBot();
+  tideTimer = mode === "timed" ? createTideTimer() : null;
+  if (mode === "daily") {
+    dailyDate = dailyDateKey();
+    // Undo would make daily scores incomparable
+    engine.newGame({ seed: dailySeed(dailyDate, rules.id), maxMoves: DAILY_MOVE_LIMIT, undoLimit: 0 });
+  } else if (mode === "timed") {
+    dailyDate = null;
+    // Undo cannot rewind the clock, so timed games get none
+    engine.newGame({ seed: urlSeed ?? randomSeed(), maxMoves: null, undoLimit: 0 });
+  } else {
+    dailyDate = null;
+    engine.newGame({ seed: urlSeed ?? randomSeed(), maxMoves: null, undoLimit: urlUndoLimit });
+  }
+  updateModeButtons();
+}
+
+function setMode(nextMode) {
+  mode = nextMode;
+  const url = new URL(window.location.href);
+  url.searchParams.set("mode", mode);
+  window.history.replaceState(null, "", url);
+  startGame();
+}
+
+// The board size is fixed for the life of the page, so a new rule set reloads it
+function setRules(rulesId) {
+  if (!isRulesId(rulesId) || rulesId === rules.id) return;
+  writeStoredJson(RULES_STORAGE_KEY, rulesId);
+  const url = new URL(window.location.href);
+  url.searchParams.set("rules", rulesId);
+  window.location.assign(url);
+}
+
+function setupRulesSelect() {
+  const select = document.getElementById("rules-preset");
+  if (!select) return;
+  for (const [id, preset] of Object.entries(RULE_PRESETS)) {
+    const option = document.createElement("option");
+    option.value = id;
+    option.textContent = preset.name;
+    select.appendChild(option);
   }
-  const cleared = settleBoard({ animate: false });
-  restoreGridFromSnapshot(snapshot.grid);
-  topLine = snapshot.topLine;
-  score = snapshot.score;
-  hoveredBlock = snapshot.hoveredBlock;
-  selectedBlock = snapshot.selectedBlock;
-  fallingAnimation = snapshot.fallingAnimation;
-  return cleared > 0;
+  select.value = rules.id;
+  select.addEventListener("change", () => setRules(select.value));
+}
+
+function setTheme(themeId) {
+  theme = resolveTheme(themeId);
+  displaySettings.theme = theme.id;
+  saveDisplaySettings(displaySettings);
+  document.body.dataset.theme = theme.id;
+  invalidateBoard();
 }
 
-function spawnBlocks(options = {}) {
-  const { animateSettle = true } = options;
-  if (!nextRow) nextRow = generateNextRow();
-  let attempts = 0;
-  while (rowWouldClearLines(nextRow) && attempts < 20) {
-    nextRow = generateNextRow();
-    attempts++;
+function setupDisplayControls() {
+  document.body.dataset.theme = theme.id;
+  const select = document.getElementById("theme-select");
+  if (select) {
+    for (const [id, preset] of Object.entries(THEMES)) {
+      const option = document.createElement("option");
+      option.value = id;
+      option.textContent = preset.name;
+      select.appendChild(option);
+    }
+    select.value = theme.id;
+    select.addEventListener("change", () => setTheme(select.value));
+  }
+  const toggles = [
+    ["display-patterns", "patterns"],
+    ["display-length-numbers", "lengthNumbers"],
+  ];
+  for (const [id, key] of toggles) {
+    const checkbox = document.getElementById(id);
+    if (!checkbox) continue;
+    checkbox.checked = displaySettings[key];
+    checkbox.addEventListener("change", () => {
+      displaySettings[key] = checkbox.checked;
+      saveDisplaySettings(displaySettings);
+      invalidateBoard();
+    });
   }
-  if (attempts >= 20) {
-    nextRow = Array.from({ length: WIDTH }, () => makeCell(COLOR_BACKGROUND));
+}
+
+function updateSoundControls() {
+  const muteButton = document.getElementById("sound-mute");
+  if (muteButton) {
+    muteButton.textContent = sound.muted ? "Unmute" : "Mute";
+    muteButton.classList.toggle("active", sound.muted);
   }
-  moveBlocksUp();
-  const y = HEIGHT - 1;
-  for (let x = 0; x < WIDTH; x++) {
-    grid[idx(x, y)] = copyCell(nextRow[x]);
+}
+
+function toggleMute() {
+  sound.setMuted(!sound.muted);
+  updateSoundControls();
+}
+
+function setupSoundControls() {
+  document.getElementById("sound-mute")?.addEventListener("click", toggleMute);
+  const sliders = [
+    ["sound-master", sound.master, (value) => sound.setMasterVolume(value)],
+    ["sound-effects", sound.effects, (value) => sound.setEffectsVolume(value)],
+    ["sound-music", sound.music, (value) => sound.setMusicVolume(value)],
+  ];
+  for (const [id, value, setVolume] of sliders) {
+    const slider = document.getElementById(id);
+    if (!slider) continue;
+    slider.value = String(value);
+    slider.addEventListener("input", () => setVolume(Number(slider.value)));
   }
+  updateSoundControls();
+}
 
-  settleBoard({ animate: animateSettle });
-  nextRow = generateNextRow();
+function updateModeButtons() {
+  for (const candidate of GAME_MODES) {
+    const button = document.getElementById(`mode-${candidate}`);
+    if (button) button.classList.toggle("active", candidate === mode);
+  }
+}
+
+function copyDailySummary() {
+  if (!dailyDate) return;
+  const summary = formatDailySummary(engine, dailyDate);
+  const showFeedback = () => {
+    copyFeedbackUntil = performance.now() + COPY_FEEDBACK_DURATION;
+    requestRender();
+  };
+  if (navigator.clipboard) {
+    navigator.clipboard.writeText(summary).then(showFeedback, () => {
+      window.prompt("Copy your result", summary);
+    });
+  } else {
+    window.prompt("Copy your result", summary);
+  }
+}
+
+function restartButtonRect() {
+  const width = 140;
+  const height = 40;
+  return {
+    x: (CANVAS_WIDTH - width) / 2,
+    y: (HEIGHT * CELL_SIZE) / 2 + 80,
+    width,
+    height,
+  };
+}
+
+function copyButtonRect() {
+  const rect = restartButtonRect();
+  return { ...rect, y: rect.y + rect.height + 12 };
+}
+
+function controlButtons() {
+  const top = (HEIGHT + PREVIEW_ROWS) * CELL_SIZE + CONTROL_BAR_PADDING;
+  const height = CONTROL_BAR_HEIGHT - CONTROL_BAR_PADDING * 2;
+  const remainingUndos = engine.undosRemaining();
+  const hintButton = {
+    label: "Hint",
+    enabled: canShowHint(),
+    action: showHint,
+  };
+  const buttons = tideTimer ? [
+    {
+      label: tideTimer.paused ? "Resume" : "Pause",
+      enabled: !engine.gameOver,
+      action: () => setTidePaused(!tideTimer.paused),
+    },
+    hintButton,
+  ] : [
+    {
+      label: remainingUndos === null ? "Undo" : `Undo (${remainingUndos})`,
+      enabled: !replayPlayer && !botPlayer && engine.canUndo(),
+      action: () => engine.undo(),
+    },
+    {
+      label: "Redo",
+      enabled: !replayPlayer && !botPlayer && engine.canRedo(),
+      action: () => engine.redo(),
+    },
+    hintButton,
+  ];
+  const width = (CANVAS_WIDTH - CONTROL_BAR_PADDING * (buttons.length + 1)) / buttons.length;
+  return buttons.map((button, i) => ({
+    ...button,
+    rect: {
+      x: CONTROL_BAR_PADDING + i * (width + CONTROL_BAR_PADDING),
+      y: top,
+      width,
+      height,
+    },
+  }));
+}
+
+function handleControlPress(evt) {
+  const pointer = getPointerPosition(evt);
+  if (pointer.y < (HEIGHT + PREVIEW_ROWS) * CELL_SIZE) return false;
+  for (const button of controlButtons()) {
+    if (button.enabled && isPointInRect(pointer, button.rect)) {
+      button.action();
+      break;
+    }
+  }
+  evt.preventDefault();
+  return true;
 }
 
-function cellKey(x, y) {
-  return `${x},${y}`;
+function isPointInRect(point, rect) {
+  return (
+    point.x >= rect.x &&
+    point.x <= rect.x + rect.width &&
+    point.y >= rect.y &&
+    point.y <= rect.y + rect.height
+  );
 }
 
 function defaultCellMargins() {
@@ -175,15 +656,12 @@ function defaultCellMargins() {
 }
 
 function computeGridCellMargins(x, y) {
-  const cell = grid[idx(x, y)];
+  const cell = engine.cellAt(x, y);
   if (!cell || isEmptyCell(cell) || cell.blockId === null) {
     return defaultCellMargins();
   }
   const isSameBlockNeighbor = (neighborX, neighborY) => {
-    if (neighborX < 0 || neighborX >= WIDTH || neighborY < 0 || neighborY >= HEIGHT) {
-      return false;
-    }
-    const neighbor = grid[idx(neighborX, neighborY)];
+    const neighbor = engine.cellAt(neighborX, neighborY);
     if (!neighbor || isEmptyCell(neighbor) || neighbor.blockId === null) return false;
     return neighbor.blockId === cell.blockId;
   };
@@ -195,6 +673,139 @@ function computeGridCellMargins(x, y) {
   };
 }
 
+// Cells store the engine's colors; the theme decides how they look
+function themedColor(color) {
+  if (color === COLOR_BACKGROUND) return theme.empty;
+  const index = engine.blockColors.indexOf(color);
+  return index === -1 ? color : theme.blocks[index];
+}
+
+// Rainbow cells show every block color instead of their own
+function cellFillStyle(cell, rect) {
+  if (cell.kind !== "rainbow") return themedColor(cell.color);
+  const gradient = ctx.createLinearGradient(rect.x, rect.y, rect.x + rect.width, rect.y + rect.height);
+  const colors = theme.blocks;
+  colors.forEach((color, i) => gradient.addColorStop(i / (colors.length - 1), color));
+  return gradient;
+}
+
+// A cell of a matched color group shrinks to its center while a flash fades out
+function drawMatchedCell(cell, cellX, cellY, progress) {
+  const cellRect = { x: cellX * CELL_SIZE, y: cellY * CELL_SIZE, width: CELL_SIZE, height: CELL_SIZE };
+  ctx.fillStyle = theme.empty;
+  ctx.fillRect(cellRect.x, cellRect.y, cellRect.width, cellRect.height);
+  ctx.strokeStyle = theme.border;
+  ctx.strokeRect(cellRect.x, cellRect.y, cellRect.width, cellRect.height);
+  const size = (CELL_SIZE - CELL_MARGIN * 2) * (1 - progress);
+  if (size <= 0) return;
+  const rect = {
+    x: (cellX + 0.5) * CELL_SIZE - size / 2,
+    y: (cellY + 0.5) * CELL_SIZE - size / 2,
+    width: size,
+    height: size,
+  };
+  ctx.save();
+  ctx.fillStyle = cellFillStyle(cell, rect);
+  ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+  ctx.globalAlpha = 1 - progress;
+  ctx.fillStyle = theme.matchFlash;
+  ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+  ctx.restore();
+}
+
+// Everything drawn over a block cell's fill. length is only passed for the one
+// cell of each block that carries its length number
+function drawCellDecorations(cell, cellX, cellY, length = null) {
+  drawCellMark(cell.kind, cellX, cellY);
+  if (displaySettings.patterns && cell.kind === "normal") {
+    drawColorGlyph(engine.blockColors.indexOf(cell.color), cellX, cellY);
+  }
+  if (displaySettings.lengthNumbers && length !== null) drawLengthNumber(length, cellX, cellY);
+}
+
+// One shape per block color so colors can be told apart without seeing them
+function drawColorGlyph(colorIndex, cellX, cellY) {
+  if (colorIndex === -1) return;
+  const centerX = (cellX + 0.5) * CELL_SIZE;
+  const centerY = (cellY + 0.5) * CELL_SIZE;
+  const size = CELL_SIZE * 0.16;
+  ctx.save();
+  ctx.fillStyle = theme.glyph;
+  ctx.beginPath();
+  switch (colorIndex % 4) {
+    case 0:
+      ctx.arc(centerX, centerY, size, 0, Math.PI * 2);
+      break;
+    case 1:
+      ctx.moveTo(centerX, centerY - size * 1.15);
+      ctx.lineTo(centerX + size * 1.15, centerY + size * 0.85);
+      ctx.lineTo(centerX - size * 1.15, centerY + size * 0.85);
+      break;
+    case 2:
+      ctx.rect(centerX - size, centerY - size, size * 2, size * 2);
+      break;
+    default:
+      ctx.moveTo(centerX, centerY - size * 1.3);
+      ctx.lineTo(centerX + size * 1.3, centerY);
+      ctx.lineTo(centerX, centerY + size * 1.3);
+      ctx.lineTo(centerX - size * 1.3, centerY);
+  }
+  ctx.closePath();
+  ctx.fill();
+  ctx.restore();
+}
+
+function drawLengthNumber(length, cellX, cellY) {
+  ctx.save();
+  ctx.fillStyle = theme.glyph;
+  ctx.font = `bold ${Math.round(CELL_SIZE * 0.34)}px sans-serif`;
+  ctx.textAlign = "right";
+  ctx.textBaseline = "bottom";
+  ctx.fillText(String(length), (cellX + 1) * CELL_SIZE - CELL_MARGIN - 2, (cellY + 1) * CELL_SIZE - CELL_MARGIN - 1);
+  ctx.restore();
+}
+
+// The cell a block's length number goes in: its bottom-right one
+function lengthLabelCell(cells) {
+  return cells.reduce((best, cell) =>
+    cell.y > best.y || (cell.y === best.y && cell.x > best.x) ? cell : best
+  );
+}
+
+// Bombs and anchors get a glyph in the middle of each of their cells
+function drawCellMark(kind, cellX, cellY) {
+  if (kind !== "bomb" && kind !== "anchor") return;
+  const centerX = (cellX + 0.5) * CELL_SIZE;
+  const centerY = (cellY + 0.5) * CELL_SIZE;
+  const size = CELL_SIZE * 0.22;
+  ctx.save();
+  ctx.lineWidth = 2;
+  ctx.lineCap = "round";
+  if (kind === "bomb") {
+    ctx.fillStyle = theme.bombMark;
+    ctx.beginPath();
+    ctx.arc(centerX, centerY + size * 0.2, size, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.strokeStyle = theme.bombFuse;
+    ctx.beginPath();
+    ctx.moveTo(centerX + size * 0.6, centerY - size * 0.6);
+    ctx.lineTo(centerX + size * 1.1, centerY - size * 1.2);
+    ctx.stroke();
+  } else {
+    ctx.strokeStyle = theme.anchorMark;
+    ctx.beginPath();
+    ctx.moveTo(centerX, centerY - size * 1.1);
+    ctx.lineTo(centerX, centerY + size);
+    ctx.moveTo(centerX - size * 0.6, centerY - size * 0.5);
+    ctx.lineTo(centerX + size * 0.6, centerY - size * 0.5);
+    ctx.moveTo(centerX - size, centerY + size * 0.2);
+    ctx.quadraticCurveTo(centerX - size, centerY + size, centerX, centerY + size);
+    ctx.quadraticCurveTo(centerX + size, centerY + size, centerX + size, centerY + size * 0.2);
+    ctx.stroke();
+  }
+  ctx.restore();
+}
+
 function computeDrawRect(cellX, cellY, margins) {
   const width = Math.max(0, CELL_SIZE - margins.left - margins.right);
   const height = Math.max(0, CELL_SIZE - margins.top - margins.bottom);
@@ -255,416 +866,601 @@ function computeMarginsForCellInSet(cell, cellSet) {
   };
 }
 
-function collectBlockCells(startX, startY, blockId) {
-  if (blockId === null || blockId === undefined) return [];
-  const toVisit = [{ x: startX, y: startY }];
-  const seen = new Set([cellKey(startX, startY)]);
-  const cells = [];
-
-  while (toVisit.length > 0) {
-    const { x, y } = toVisit.pop();
-    if (x < 0 || x >= WIDTH || y < 0 || y >= HEIGHT) continue;
-    const cell = grid[idx(x, y)];
-    if (cell.blockId !== blockId) continue;
-    cells.push({ x, y });
-
-    const neighbors = [
-      { x: x + 1, y },
-      { x: x - 1, y },
-      { x, y: y + 1 },
-      { x, y: y - 1 },
-    ];
-    for (const neighbor of neighbors) {
-      const key = cellKey(neighbor.x, neighbor.y);
-      if (seen.has(key)) continue;
-      seen.add(key);
-      toVisit.push(neighbor);
-    }
-  }
-
-  return cells;
+function animationProgress(animation, timestamp, duration) {
+  if (!animationStartTimes.has(animation)) animationStartTimes.set(animation, timestamp);
+  const elapsed = timestamp - animationStartTimes.get(animation);
+  return duration ? Math.min(1, elapsed / duration) : 1;
 }
 
 function getPointerPosition(evt) {
+  // Measure against the content box so the border does not skew the cell math
   const rect = game.getBoundingClientRect();
-  const scaleX = game.width / rect.width;
-  const scaleY = game.height / rect.height;
+  const contentWidth = game.clientWidth || rect.width;
+  const contentHeight = game.clientHeight || rect.height;
+  const scaleX = CANVAS_WIDTH / contentWidth;
+  const scaleY = CANVAS_HEIGHT / contentHeight;
   return {
-    x: (evt.clientX - rect.left) * scaleX,
-    y: (evt.clientY - rect.top) * scaleY,
+    x: (evt.clientX - rect.left - game.clientLeft) * scaleX,
+    y: (evt.clientY - rect.top - game.clientTop) * scaleY,
   };
 }
 
-function trySelectBlock(evt) {
-  if (selectedBlock || fallingAnimation || lineClearAnimation) return;
-  if (evt.button !== 0) return;
-  const pointer = getPointerPosition(evt);
-  const cellX = Math.floor(pointer.x / CELL_SIZE);
-  const cellY = Math.floor(pointer.y / CELL_SIZE);
-  if (cellX < 0 || cellX >= WIDTH || cellY < 0 || cellY >= HEIGHT) return;
-
-  const startCell = grid[idx(cellX, cellY)];
-  if (isEmptyCell(startCell)) return;
+// devicePixelRatio changes with browser zoom and when the window moves to
+// another screen, both of which fire resize
+function syncPixelRatio() {
+  const ratio = window.devicePixelRatio || 1;
+  if (ratio === pixelRatio) return;
+  pixelRatio = ratio;
+  game.width = Math.round(CANVAS_WIDTH * ratio);
+  game.height = Math.round(CANVAS_HEIGHT * ratio);
+  boardLayer.width = game.width;
+  boardLayer.height = Math.round(BOARD_AREA_HEIGHT * ratio);
+  // Resizing a canvas resets its transform
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  boardLayerContext.setTransform(ratio, 0, 0, ratio, 0, 0);
+  invalidateBoard();
+}
 
-  const cells = collectBlockCells(cellX, cellY, startCell.blockId);
-  if (!cells.length) return;
+function fitCanvasToViewport() {
+  syncPixelRatio();
+  const toolbar = document.getElementById("toolbar");
+  const toolbarHeight = toolbar ? toolbar.offsetHeight + 12 : 0;
+  const availableWidth = window.innerWidth - VIEWPORT_PADDING * 2;
+  const availableHeight = window.innerHeight - VIEWPORT_PADDING * 2 - toolbarHeight;
+  const scale = Math.min(
+    MAX_CANVAS_SCALE,
+    availableWidth / CANVAS_WIDTH,
+    availableHeight / CANVAS_HEIGHT
+  );
+  if (!(scale > 0)) return;
+  game.style.width = `${Math.floor(CANVAS_WIDTH * scale)}px`;
+  game.style.height = `${Math.floor(CANVAS_HEIGHT * scale)}px`;
+}
 
-  for (const cell of cells) {
-    grid[idx(cell.x, cell.y)] = makeCell(COLOR_BACKGROUND);
+function handleGameOverPress(evt) {
+  const pointer = getPointerPosition(evt);
+  if (isPointInRect(pointer, restartButtonRect())) {
+    startGame();
+    evt.preventDefault();
+  } else if (dailyDate && isPointInRect(pointer, copyButtonRect())) {
+    copyDailySummary();
+    evt.preventDefault();
   }
+}
 
-  selectedBlock = {
-    color: startCell.color,
-    blockId: startCell.blockId,
-    baseCells: cells.map((cell) => ({ ...cell })),
-    cells: cells.map((cell) => ({ ...cell })),
-    offset: 0,
-    pointerStartX: pointer.x,
+function handlePointerDown(evt) {
+  if (!evt.isPrimary) {
+    // A second finger turns a pending tap into a gesture we do not handle
+    if (activePointer && !isDragging) activePointer = null;
+    return;
+  }
+  if (activePointer || evt.button !== 0) return;
+  if (handleControlPress(evt) || replayPlayer) return;
+  if (engine.gameOver) {
+    handleGameOverPress(evt);
+    return;
+  }
+  if (botPlayer || isTidePaused()) return;
+  const pointer = getPointerPosition(evt);
+  activePointer = {
+    id: evt.pointerId,
+    startX: pointer.x,
+    startY: pointer.y,
+    clientX: evt.clientX,
+    clientY: evt.clientY,
   };
-
-  hoveredBlock = null;
+  game.setPointerCapture(evt.pointerId);
+  cursor.visible = false;
   evt.preventDefault();
 }
 
-function canPlaceOffset(baseCells, offset) {
-  for (const cell of baseCells) {
-    const targetX = cell.x + offset;
-    if (targetX < 0 || targetX >= WIDTH) return false;
-    if (!isEmptyCell(grid[idx(targetX, cell.y)])) return false;
-  }
+function trySelectBlock(press) {
+  const cellX = Math.floor(press.startX / CELL_SIZE);
+  const cellY = Math.floor(press.startY / CELL_SIZE);
+  if (!engine.selectBlock(cellX, cellY)) return false;
+
+  pointerStartX = press.startX;
+  isDragging = true;
   return true;
 }
 
-function applyOffset(offset) {
-  if (!selectedBlock) return;
-  if (offset === selectedBlock.offset) return;
+function handlePointerMove(evt) {
+  if (!activePointer) {
+    if (evt.pointerType === "mouse") updateHoveredBlock(evt);
+    return;
+  }
+  if (evt.pointerId !== activePointer.id) return;
+  // Pressing the right button during a drag reports as a move with that button
+  if (isDragging && evt.button === 2) {
+    cancelDrag();
+    evt.preventDefault();
+    return;
+  }
+  if (!isDragging) {
+    const distance = Math.hypot(
+      evt.clientX - activePointer.clientX,
+      evt.clientY - activePointer.clientY
+    );
+    if (distance < DRAG_THRESHOLD) return;
+    if (!trySelectBlock(activePointer)) {
+      activePointer = null;
+      return;
+    }
+  }
+  handleDrag(evt);
+}
 
-  const direction = offset > selectedBlock.offset ? 1 : -1;
-  let newOffset = selectedBlock.offset;
-  while (newOffset !== offset) {
-    const candidate = newOffset + direction;
-    if (!canPlaceOffset(selectedBlock.baseCells, candidate)) break;
-    newOffset = candidate;
+function releaseActivePointer() {
+  if (!activePointer) return;
+  if (game.hasPointerCapture(activePointer.id)) {
+    game.releasePointerCapture(activePointer.id);
   }
+  activePointer = null;
+}
+
+function isPointerOverBoard(evt) {
+  const pointer = getPointerPosition(evt);
+  return (
+    pointer.x >= 0 &&
+    pointer.x < CANVAS_WIDTH &&
+    pointer.y >= 0 &&
+    pointer.y < HEIGHT * CELL_SIZE
+  );
+}
 
-  if (newOffset === selectedBlock.offset) return;
+// Puts a dragged block back where it was picked up, without committing a move
+function cancelDrag() {
+  releaseActivePointer();
+  if (!isDragging) return;
+  isDragging = false;
+  engine.cancelSelection();
+  clearHover();
+}
 
-  selectedBlock.offset = newOffset;
-  selectedBlock.cells = selectedBlock.baseCells.map((cell) => ({
-    x: cell.x + selectedBlock.offset,
-    y: cell.y,
-  }));
+function handlePointerUp(evt) {
+  if (!activePointer || evt.pointerId !== activePointer.id) return;
+  if (isDragging && !isPointerOverBoard(evt)) {
+    cancelDrag();
+    return;
+  }
+  releaseActivePointer();
+  if (!isDragging) return;
+  isDragging = false;
+  if (!engine.drop()) return;
+  clearHover();
+  evt.preventDefault();
+}
+
+function handlePointerCancel(evt) {
+  if (!activePointer || evt.pointerId !== activePointer.id) return;
+  cancelDrag();
 }
 
 function handleDrag(evt) {
-  if (!selectedBlock) return;
+  if (!engine.selectedBlock || !isDragging) return;
   const pointer = getPointerPosition(evt);
-  const desiredOffset = Math.round((pointer.x - selectedBlock.pointerStartX) / CELL_SIZE);
-  applyOffset(desiredOffset);
+  const desiredOffset = Math.round((pointer.x - pointerStartX) / CELL_SIZE);
+  engine.moveSelected(desiredOffset);
 
   evt.preventDefault();
 }
 
 function updateHoveredBlock(evt) {
-  if (fallingAnimation || lineClearAnimation) {
+  if (engine.gameOver || engine.isBusy()) {
     hoveredBlock = null;
     return;
   }
   const pointer = getPointerPosition(evt);
   const cellX = Math.floor(pointer.x / CELL_SIZE);
   const cellY = Math.floor(pointer.y / CELL_SIZE);
-  if (cellX < 0 || cellX >= WIDTH || cellY < 0 || cellY >= HEIGHT) {
-    hoveredBlock = null;
-    return;
-  }
+  hoveredBlock = movableBlockAt(cellX, cellY);
+}
 
-  const cell = grid[idx(cellX, cellY)];
-  if (isEmptyCell(cell)) {
-    hoveredBlock = null;
-    return;
-  }
+// Anchored blocks never highlight since they cannot be picked up
+function movableBlockAt(x, y) {
+  const block = engine.blockAt(x, y);
+  return block && block.kind !== "anchor" ? block : null;
+}
 
-  const cells = collectBlockCells(cellX, cellY, cell.blockId);
-  hoveredBlock = { color: cell.color, blockId: cell.blockId, cells };
+function focusCursorCell(x, y) {
+  // A lifted block keeps the cursor on itself
+  if (engine.selectedBlock) return;
+  cursor.x = x;
+  cursor.y = y;
+  cursor.visible = true;
+  moveCursor(0, 0);
 }
 
 function clearHover() {
   hoveredBlock = null;
 }
 
-function applyGravity(options = {}) {
-  const { collectMoves = false } = options;
-  if (selectedBlock || fallingAnimation || lineClearAnimation) {
-    return { moved: false, moves: [] };
-  }
-  const moves = collectMoves ? [] : null;
-  let movedAny = false;
-  let moved;
-  do {
-    moved = false;
-    const processedBlocks = new Set();
-    for (let y = HEIGHT - 1; y >= 0; y--) {
-      for (let x = 0; x < WIDTH; x++) {
-        const cell = grid[idx(x, y)];
-        if (isEmptyCell(cell)) continue;
-        const blockId = cell.blockId;
-        if (blockId === null || processedBlocks.has(blockId)) continue;
-
-        const color = cell.color;
-        const cells = collectBlockCells(x, y, blockId);
-        if (!cells.length) continue;
-        processedBlocks.add(blockId);
-
-        let dropDistance = 0;
-        outer: while (true) {
-          for (const blockCell of cells) {
-            const targetY = blockCell.y + dropDistance + 1;
-            if (targetY >= HEIGHT) break outer;
-            if (!isEmptyCell(grid[idx(blockCell.x, targetY)])) break outer;
-          }
-          dropDistance++;
-        }
-
-        if (dropDistance === 0) continue;
-
-        for (const blockCell of cells) {
-          grid[idx(blockCell.x, blockCell.y)] = makeCell(COLOR_BACKGROUND);
-        }
-        for (const blockCell of cells) {
-          const newY = blockCell.y + dropDistance;
-          grid[idx(blockCell.x, newY)] = makeCell(color, blockId);
-        }
-        if (collectMoves) {
-          moves.push({
-            cells: cells.map((blockCell) => ({ ...blockCell })),
-            color,
-            blockId,
-            dropDistance,
-          });
-        }
-        moved = true;
-        movedAny = true;
-      }
-    }
-  } while (moved);
-
-  return { moved: movedAny, moves: moves || [] };
+function moveCursor(dx, dy) {
+  cursor.x = Math.max(0, Math.min(WIDTH - 1, cursor.x + dx));
+  cursor.y = Math.max(0, Math.min(HEIGHT - 1, cursor.y + dy));
+  hoveredBlock = engine.isBusy() ? null : movableBlockAt(cursor.x, cursor.y);
 }
 
-function collectFullLines() {
-  const rows = [];
-  for (let y = 0; y < HEIGHT; y++) {
-    let isFull = true;
-    for (let x = 0; x < WIDTH; x++) {
-      if (isEmptyCell(grid[idx(x, y)])) {
-        isFull = false;
-        break;
+function handleGameKey(evt) {
+  const { selectedBlock } = engine;
+  if (selectedBlock && !isDragging) {
+    switch (evt.key) {
+      case "ArrowLeft":
+      case "ArrowRight": {
+        const previousOffset = selectedBlock.offset;
+        engine.moveSelected(previousOffset + (evt.key === "ArrowLeft" ? -1 : 1));
+        cursor.x += selectedBlock.offset - previousOffset;
+        return true;
       }
+      case "Enter":
+      case " ":
+        engine.drop();
+        moveCursor(0, 0);
+        return true;
+      case "Escape":
+        engine.cancelSelection();
+        moveCursor(0, 0);
+        return true;
+      default:
+        return false;
     }
-    if (isFull) rows.push(y);
   }
-  return rows;
+  if (selectedBlock) {
+    if (evt.key !== "Escape") return false;
+    cancelDrag();
+    return true;
+  }
+  switch (evt.key) {
+    case "ArrowLeft":
+      moveCursor(-1, 0);
+      return true;
+    case "ArrowRight":
+      moveCursor(1, 0);
+      return true;
+    case "ArrowUp":
+      moveCursor(0, -1);
+      return true;
+    case "ArrowDown":
+      moveCursor(0, 1);
+      return true;
+    case "Enter":
+    case " ":
+      if (engine.selectBlock(cursor.x, cursor.y)) isDragging = false;
+      return true;
+    default:
+      return false;
+  }
 }
 
-function clearLines(rows) {
-  if (!rows || rows.length === 0) return;
-  for (const y of rows) {
-    for (let x = 0; x < WIDTH; x++) {
-      grid[idx(x, y)] = makeCell(COLOR_BACKGROUND);
+function handleHistoryKey(evt) {
+  if (!(evt.ctrlKey || evt.metaKey) || evt.altKey) return false;
+  const key = evt.key.toLowerCase();
+  if (key === "z") {
+    if (evt.shiftKey) {
+      engine.redo();
+    } else {
+      engine.undo();
     }
+    return true;
+  }
+  if (key === "y") {
+    engine.redo();
+    return true;
   }
+  return false;
 }
 
-function settleBoard(options = {}) {
-  const { animate = true, onComplete = null } = options;
-  if (!animate) {
-    let totalCleared = 0;
-    while (true) {
-      applyGravity();
-      const rows = collectFullLines();
-      if (rows.length === 0) break;
-      hoveredBlock = null;
-      clearLines(rows);
-      totalCleared += rows.length;
-    }
-    if (totalCleared) score += totalCleared;
-    if (onComplete) onComplete();
-    return totalCleared;
-  }
+// Buttons, sliders, checkboxes and fields keep their own keys
+function isFormControl(target) {
+  if (!target) return false;
+  return ["BUTTON", "INPUT", "SELECT", "TEXTAREA"].includes(target.tagName) || Boolean(target.isContentEditable);
+}
 
-  if (fallingAnimation) {
-    const continuation = () => settleBoard({ animate: true, onComplete });
-    fallingAnimation.after.push(continuation);
-    return 0;
+function handleKeyDown(evt) {
+  if (evt.key === "Escape" && isStatsPanelOpen()) {
+    setStatsPanelOpen(false);
+    evt.preventDefault();
+    return;
   }
-
-  if (lineClearAnimation) {
-    const continuation = () => settleBoard({ animate: true, onComplete });
-    if (!lineClearAnimation.after) lineClearAnimation.after = [];
-    lineClearAnimation.after.push(continuation);
-    return 0;
+  // Game keys only apply with focus on the page, the canvas or the board mirror
+  if (isFormControl(evt.target)) return;
+  // Mute works in every state, replays and autoplay included
+  if ((evt.key === "m" || evt.key === "M") && !(evt.ctrlKey || evt.metaKey || evt.altKey)) {
+    toggleMute();
+    evt.preventDefault();
+    return;
   }
-
-  const gravityResult = applyGravity({ collectMoves: true });
-  if (gravityResult.moves.length > 0) {
-    hoveredBlock = null;
-    startFallAnimation(gravityResult.moves, {
-      strokeStyle: null,
-      after: () => settleBoard({ animate: true, onComplete }),
-    });
-    return 0;
+  if (replayPlayer) {
+    if (handleReplayKey(evt)) evt.preventDefault();
+    return;
   }
-
-  const rows = collectFullLines();
-  if (rows.length > 0) {
-    hoveredBlock = null;
-    score += rows.length;
-    startLineClearAnimation(rows, {
-      finalize: () => clearLines(rows),
-      after: () => settleBoard({ animate: true, onComplete }),
-    });
-    return 0;
+  if (botPlayer && evt.key === "Escape") {
+    stopBot();
+    evt.preventDefault();
+    return;
   }
-
-  if (onComplete) onComplete();
-  return 0;
+  if (botPlayer && !engine.gameOver) return;
+  if (handleHistoryKey(evt)) {
+    evt.preventDefault();
+    return;
+  }
+  if (engine.gameOver) {
+    if (evt.key === "Enter" || evt.key === "r" || evt.key === "R") {
+      startGame();
+      evt.preventDefault();
+    } else if (dailyDate && (evt.key === "c" || evt.key === "C")) {
+      copyDailySummary();
+      evt.preventDefault();
+    }
+    return;
+  }
+  if (evt.ctrlKey || evt.metaKey || evt.altKey) return;
+  if (tideTimer && (evt.key === "p" || evt.key === "P")) {
+    setTidePaused(!tideTimer.paused);
+    evt.preventDefault();
+    return;
+  }
+  if (isTidePaused()) return;
+  if (evt.key === "h" || evt.key === "H") {
+    showHint();
+    evt.preventDefault();
+    return;
+  }
+  cursor.visible = true;
+  if (handleGameKey(evt)) evt.preventDefault();
+  boardMirror.setCursor(cursor.x, cursor.y);
 }
 
-function finalizePlacement(cells, color, blockId, dropDistance, shouldSpawn) {
-  for (const cell of cells) {
-    const finalY = cell.y + dropDistance;
-    grid[idx(cell.x, finalY)] = makeCell(color, blockId);
-  }
-  settleBoard({
-    onComplete: () => {
-      if (shouldSpawn) spawnBlocks();
-    },
+game.addEventListener("pointerdown", handlePointerDown);
+game.addEventListener("pointermove", handlePointerMove);
+game.addEventListener("pointerup", handlePointerUp);
+game.addEventListener("pointercancel", handlePointerCancel);
+game.addEventListener("lostpointercapture", handlePointerCancel);
+game.addEventListener("contextmenu", (evt) => {
+  evt.preventDefault();
+  cancelDrag();
+});
+window.addEventListener("blur", () => {
+  cancelDrag();
+  setTidePaused(true);
+});
+document.addEventListener("visibilitychange", () => {
+  if (document.visibilityState === "hidden") setTidePaused(true);
+});
+game.addEventListener("pointerleave", (evt) => {
+  if (evt.pointerType === "mouse" && !activePointer) clearHover();
+  requestRender();
+});
+// Audio can only start from inside a gesture, so every press offers to unlock it
+window.addEventListener("pointerdown", sound.unlock, true);
+window.addEventListener("keydown", sound.unlock, true);
+window.addEventListener("keydown", handleKeyDown);
+window.addEventListener("resize", fitCanvasToViewport);
+// Input can move the hover, the cursor or a held block, or open and close
+// overlays, so it asks for a frame before any handler runs
+for (const type of ["pointerdown", "pointermove", "pointerup", "pointercancel", "keydown", "click", "change", "input", "focusin"]) {
+  window.addEventListener(type, requestRender, true);
+}
+for (const candidate of GAME_MODES) {
+  const button = document.getElementById(`mode-${candidate}`);
+  if (button) button.addEventListener("click", () => {
+    if (replayPlayer) stopReplay();
+    setMode(candidate);
   });
 }
+document.getElementById("replay-watch")?.addEventListener("click", () => {
+  if (recorder.replay) startReplay(parseReplay(recorder.replay));
+});
+document.getElementById("replay-export")?.addEventListener("click", exportReplay);
+document.getElementById("replay-import")?.addEventListener("click", () => {
+  document.getElementById("replay-file")?.click();
+});
+document.getElementById("replay-file")?.addEventListener("change", (evt) => {
+  const input = evt.target;
+  const file = input.files && input.files[0];
+  if (file) importReplay(file);
+  input.value = "";
+});
+document.getElementById("replay-pause")?.addEventListener("click", toggleReplayPause);
+document.getElementById("replay-step")?.addEventListener("click", () => replayPlayer?.step());
+document.getElementById("replay-speed")?.addEventListener("change", (evt) => {
+  replayPlayer?.setSpeed(Number(evt.target.value));
+});
+document.getElementById("replay-exit")?.addEventListener("click", stopReplay);
+document.getElementById("bot-start")?.addEventListener("click", startBot);
+setupRulesSelect();
+setupSoundControls();
+setupDisplayControls();
+document.getElementById("stats-open")?.addEventListener("click", () => {
+  setStatsPanelOpen(!isStatsPanelOpen());
+});
+document.getElementById("stats-close")?.addEventListener("click", () => setStatsPanelOpen(false));
+document.getElementById("stats-export")?.addEventListener("click", exportStats);
+document.getElementById("stats-import")?.addEventListener("click", () => {
+  document.getElementById("stats-file")?.click();
+});
+document.getElementById("stats-file")?.addEventListener("change", (evt) => {
+  const input = evt.target;
+  const file = input.files && input.files[0];
+  if (file) importStats(file);
+  input.value = "";
+});
+document.getElementById("player-name")?.addEventListener("change", (evt) => {
+  statsTracker.setPlayerName(evt.target.value);
+  renderStatsPanel();
+});
+document.getElementById("bot-stop")?.addEventListener("click", stopBot);
+document.getElementById("bot-step")?.addEventListener("click", () => botPlayer?.step());
+document.getElementById("bot-strategy")?.addEventListener("change", (evt) => {
+  botPlayer?.setStrategy(evt.target.value);
+});
+document.getElementById("bot-speed")?.addEventListener("change", (evt) => {
+  botPlayer?.setSpeed(Number(evt.target.value));
+});
 
-function startLineClearAnimation(rows, options = {}) {
-  if (!rows || rows.length === 0) return;
-  lineClearAnimation = {
-    rows: [...rows],
-    rowSet: new Set(rows),
-    duration: options.duration ?? LINE_CLEAR_DURATION,
-    finalize: options.finalize || null,
-    after: Array.isArray(options.after)
-      ? options.after.slice()
-      : options.after
-      ? [options.after]
-      : [],
-    startTime: null,
-  };
+function invalidateBoard() {
+  boardCache = null;
+  requestRender();
 }
 
-function startFallAnimation(moves, options = {}) {
-  if (!moves || moves.length === 0) return;
-  const clonedMoves = moves.map((move) => ({
-    cells: move.cells.map((cell) => ({ ...cell })),
-    color: move.color,
-    blockId: move.blockId,
-    dropDistance: move.dropDistance,
-  }));
-  const maxDrop = clonedMoves.reduce((max, move) => Math.max(max, move.dropDistance), 0);
-  const duration = Math.max(MIN_FALL_DURATION, maxDrop * FALL_ANIMATION_PER_ROW);
-  fallingAnimation = {
-    moves: clonedMoves,
-    finalize: options.finalize || null,
-    after: options.after ? [options.after] : [],
-    strokeStyle: Object.prototype.hasOwnProperty.call(options, "strokeStyle")
-      ? options.strokeStyle
-      : BORDER_SELECTED,
-    startTime: null,
-    duration,
-  };
+// Frames are drawn on demand; render keeps asking for more while anything moves
+function requestRender() {
+  if (frameRequest === null) frameRequest = requestAnimationFrame(render);
 }
 
-function dropSelectedBlock() {
-  if (!selectedBlock) return null;
-  const { cells, color, blockId, offset } = selectedBlock;
-  const dropDistance = computeDropDistance(cells);
-  const movedHorizontally = offset !== 0;
+function needsNextFrame(timestamp) {
+  return Boolean(
+    engine.fallingAnimation ||
+      engine.lineClearAnimation ||
+      scorePopups.length > 0 ||
+      (replayPlayer && !replayPlayer.paused && !replayPlayer.isFinished()) ||
+      (botPlayer && !engine.gameOver) ||
+      (tideTimer && !tideTimer.paused && !engine.gameOver) ||
+      timestamp < copyFeedbackUntil
+  );
+}
 
-  const placement = {
-    cells: cells.map((cell) => ({ ...cell })),
-    color,
-    blockId,
-    dropDistance,
-    shouldSpawn: movedHorizontally,
-  };
+// The drawing helpers paint on ctx, so it points at the board layer meanwhile
+function drawOnBoardLayer(draw) {
+  const screenContext = ctx;
+  ctx = boardLayerContext;
+  try {
+    draw();
+  } finally {
+    ctx = screenContext;
+  }
+}
 
-  selectedBlock = null;
-  return placement;
+// Cells a line clear fades out: whole rows, bomb blasts and matched groups
+function lineClearCells(animation) {
+  const cells = new Map();
+  for (const y of animation.rows) {
+    for (let x = 0; x < WIDTH; x++) cells.set(cellKey(x, y), { x, y });
+  }
+  for (const cell of [...animation.blastCells, ...animation.matchedCells]) {
+    cells.set(cellKey(cell.x, cell.y), { x: cell.x, y: cell.y });
+  }
+  return [...cells.values()];
 }
 
-function computeDropDistance(cells) {
-  let dropDistance = 0;
-  outer: while (true) {
-    for (const cell of cells) {
-      const targetY = cell.y + dropDistance + 1;
-      if (targetY >= HEIGHT) break outer;
-      if (!isEmptyCell(grid[idx(cell.x, targetY)])) break outer;
-    }
-    dropDistance++;
-  }
-  return dropDistance;
-}
-
-game.addEventListener("mousedown", trySelectBlock);
-game.addEventListener("mousemove", updateHoveredBlock);
-game.addEventListener("mouseleave", clearHover);
-window.addEventListener("mousemove", handleDrag);
-window.addEventListener("mouseup", (evt) => {
-  if (!selectedBlock) return;
-  const placement = dropSelectedBlock();
-  if (!placement) return;
-  const { dropDistance, shouldSpawn, cells, color, blockId } = placement;
-  if (dropDistance === 0) {
-    finalizePlacement(cells, color, blockId, dropDistance, shouldSpawn);
-  } else {
-    startFallAnimation([
-      { cells, color, blockId, dropDistance },
-    ], {
-      finalize: () => finalizePlacement(cells, color, blockId, dropDistance, shouldSpawn),
-      strokeStyle: BORDER_SELECTED,
-    });
+// One board cell with its border; alpha fades the cells of a line clear
+function drawGridCell(x, y, alpha, lengths) {
+  const cell = engine.cellAt(x, y);
+  const margins = computeGridCellMargins(x, y);
+  const rect = computeDrawRect(x, y, margins);
+  if (rect.width > 0 && rect.height > 0) {
+    const labelLength =
+      lengths.labelKeys.get(cell.blockId) === cellKey(x, y) ? lengths.blockLengths.get(cell.blockId) : null;
+    ctx.save();
+    ctx.globalAlpha = alpha;
+    ctx.fillStyle = cellFillStyle(cell, rect);
+    ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+    drawCellDecorations(cell, x, y, labelLength);
+    ctx.strokeStyle = isEmptyCell(cell) ? theme.border : borderColorForLength(lengths.blockLengths.get(cell.blockId));
+    ctx.lineWidth = 2;
+    strokeRectWithMargins(ctx, rect, margins);
+    ctx.restore();
   }
-  clearHover();
-  evt.preventDefault();
-});
+  if (isEmptyCell(cell)) {
+    ctx.strokeStyle = theme.border;
+    ctx.strokeRect(x * CELL_SIZE, y * CELL_SIZE, CELL_SIZE, CELL_SIZE);
+  }
+}
 
-function render(timestamp = performance.now()) {
-  ctx.clearRect(0, 0, game.width, game.height);
-  ctx.fillStyle = CELL_GAP_COLOR;
-  ctx.fillRect(0, 0, game.width, HEIGHT * CELL_SIZE);
-  ctx.fillRect(0, HEIGHT * CELL_SIZE, game.width, PREVIEW_ROWS * CELL_SIZE);
-  const hoveredCells = new Set(
-    hoveredBlock ? hoveredBlock.cells.map((cell) => cellKey(cell.x, cell.y)) : []
-  );
-  const activeLineClearAnimation = lineClearAnimation;
-  let lineClearProgress = 0;
-  let clearingRowSet = null;
-  if (activeLineClearAnimation) {
-    if (activeLineClearAnimation.startTime === null) {
-      activeLineClearAnimation.startTime = timestamp;
+function drawPreviewRows(nextRows) {
+  const previewY = HEIGHT * CELL_SIZE;
+  // Incoming rows sit at the bottom of the preview, in the order they will arrive
+  const previewRows = Array.from({ length: PREVIEW_ROWS }, () => null);
+  if (nextRows) {
+    nextRows.slice(-PREVIEW_ROWS).forEach((row, i, shown) => {
+      previewRows[PREVIEW_ROWS - shown.length + i] = row;
+    });
+  }
+  const previewLengths = new Map();
+  const previewBlockCells = new Map();
+  previewRows.forEach((row, rowIndex) => {
+    if (!row) return;
+    for (let x = 0; x < WIDTH; x++) {
+      const cell = row[x];
+      if (!cell || isEmptyCell(cell) || cell.blockId === null) continue;
+      previewLengths.set(cell.blockId, (previewLengths.get(cell.blockId) || 0) + 1);
+      if (!previewBlockCells.has(cell.blockId)) {
+        previewBlockCells.set(cell.blockId, []);
+      }
+      previewBlockCells.get(cell.blockId).push({ x, y: HEIGHT + rowIndex });
     }
-    const duration = activeLineClearAnimation.duration || LINE_CLEAR_DURATION;
-    const elapsed = timestamp - activeLineClearAnimation.startTime;
-    lineClearProgress = duration ? Math.min(1, elapsed / duration) : 1;
-    clearingRowSet = activeLineClearAnimation.rowSet;
-    if (!clearingRowSet) {
-      clearingRowSet = new Set(activeLineClearAnimation.rows);
-      activeLineClearAnimation.rowSet = clearingRowSet;
+  });
+  const previewCellSets = new Map();
+  for (const [blockId, cells] of previewBlockCells) {
+    previewCellSets.set(blockId, cellSetFromCells(cells));
+  }
+  ctx.save();
+  for (let i = 0; i < PREVIEW_ROWS * WIDTH; i++) {
+    const x = i % WIDTH;
+    const rowIndex = Math.floor(i / WIDTH);
+    const cell = previewRows[rowIndex]?.[x] ?? makeCell(COLOR_BACKGROUND);
+    const isBlockCell = !isEmptyCell(cell) && cell.blockId !== null;
+    const previewPosition = { x, y: HEIGHT + rowIndex };
+    const margins = isBlockCell
+      ? computeMarginsForCellInSet(previewPosition, previewCellSets.get(cell.blockId))
+      : defaultCellMargins();
+    const rect = computeDrawRect(previewPosition.x, previewPosition.y, margins);
+    ctx.fillStyle = isBlockCell ? cellFillStyle(cell, rect) : theme.empty;
+    ctx.globalAlpha = isBlockCell ? 0.45 : 1;
+    if (rect.width > 0 && rect.height > 0) {
+      ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+    }
+    if (isBlockCell) {
+      const blockCells = previewBlockCells.get(cell.blockId);
+      const label = lengthLabelCell(blockCells);
+      const isLabel = label.x === previewPosition.x && label.y === previewPosition.y;
+      drawCellDecorations(cell, previewPosition.x, previewPosition.y, isLabel ? blockCells.length : null);
+    }
+    ctx.globalAlpha = 1;
+    const borderColor = isEmptyCell(cell)
+      ? theme.border
+      : borderColorForLength(previewLengths.get(cell.blockId));
+    if (isBlockCell && rect.width > 0 && rect.height > 0) {
+      ctx.save();
+      ctx.strokeStyle = borderColor;
+      ctx.lineWidth = 2;
+      strokeRectWithMargins(ctx, rect, margins);
+      ctx.restore();
+    }
+    if (!isBlockCell) {
+      ctx.strokeStyle = theme.border;
+      ctx.strokeRect(x * CELL_SIZE, previewPosition.y * CELL_SIZE, CELL_SIZE, CELL_SIZE);
     }
   }
+  ctx.restore();
+  ctx.save();
+  ctx.fillStyle = theme.label;
+  ctx.font = "16px sans-serif";
+  ctx.textAlign = "left";
+  ctx.textBaseline = "middle";
+  ctx.fillText(PREVIEW_ROWS > 1 ? "Next rows" : "Next row", 8, previewY + CELL_SIZE / 2);
+  ctx.restore();
+}
+
+// Redraws the board layer when the grid may have changed. Every grid change
+// comes with an engine event, which invalidates the cache, or starts or ends
+// an animation, which is checked here
+function updateBoardLayer() {
+  const { fallingAnimation, lineClearAnimation, nextRows } = engine;
+  if (
+    boardCache &&
+    boardCache.fallingAnimation === fallingAnimation &&
+    boardCache.lineClearAnimation === lineClearAnimation
+  ) {
+    return boardCache;
+  }
   const blockLengths = new Map();
-  for (let y = 0; y < HEIGHT; y++) {
-    for (let x = 0; x < WIDTH; x++) {
-      const cell = grid[idx(x, y)];
-      if (isEmptyCell(cell) || cell.blockId === null) continue;
-      blockLengths.set(cell.blockId, (blockLengths.get(cell.blockId) || 0) + 1);
-    }
+  // The cell of each block that carries its length number
+  const labelKeys = new Map();
+  for (const block of engine.listBlocks()) {
+    const label = lengthLabelCell(block.cells);
+    blockLengths.set(block.blockId, block.length);
+    labelKeys.set(block.blockId, cellKey(label.x, label.y));
   }
   const animatingBlockIds = fallingAnimation
     ? new Set(
@@ -673,53 +1469,75 @@ function render(timestamp = performance.now()) {
           .filter((blockId) => blockId !== null && blockId !== undefined)
       )
     : null;
-  for (let y = 0; y < HEIGHT; y++) {
-    const isClearingRow = clearingRowSet ? clearingRowSet.has(y) : false;
-    const cellAlpha = isClearingRow ? Math.max(0, 1 - lineClearProgress) : 1;
-    for (let x = 0; x < WIDTH; x++) {
-      const cell = grid[idx(x, y)];
-      const margins = computeGridCellMargins(x, y);
-      const rect = computeDrawRect(x, y, margins);
-      const isAnimatingCell =
-        animatingBlockIds && cell.blockId !== null && animatingBlockIds.has(cell.blockId);
-      if (!isAnimatingCell) {
-        if (rect.width > 0 && rect.height > 0) {
-          if (cellAlpha < 1) {
-            ctx.save();
-            ctx.globalAlpha = cellAlpha;
-            ctx.fillStyle = cell.color;
-            ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
-            ctx.restore();
-          } else {
-            ctx.fillStyle = cell.color;
-            ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
-          }
+  // Fading cells are drawn each frame on top of the gap they leave here
+  const clearingCells = lineClearAnimation ? lineClearCells(lineClearAnimation) : [];
+  const clearingKeys = new Set(clearingCells.map((cell) => cellKey(cell.x, cell.y)));
+  const lengths = { blockLengths, labelKeys };
+  drawOnBoardLayer(() => {
+    ctx.clearRect(0, 0, CANVAS_WIDTH, BOARD_AREA_HEIGHT);
+    ctx.fillStyle = theme.cellGap;
+    ctx.fillRect(0, 0, CANVAS_WIDTH, BOARD_AREA_HEIGHT);
+    for (let y = 0; y < HEIGHT; y++) {
+      for (let x = 0; x < WIDTH; x++) {
+        if (clearingKeys.has(cellKey(x, y))) continue;
+        const cell = engine.cellAt(x, y);
+        if (animatingBlockIds && cell.blockId !== null && animatingBlockIds.has(cell.blockId)) {
+          // The block is drawn falling instead
+          const rect = computeDrawRect(x, y, computeGridCellMargins(x, y));
+          ctx.fillStyle = theme.empty;
+          ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+          continue;
         }
-      } else if (rect.width > 0 && rect.height > 0) {
-        ctx.fillStyle = COLOR_BACKGROUND;
-        ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
-      }
-      const key = cellKey(x, y);
-      const baseBorder = isEmptyCell(cell)
-        ? BORDER_DEFAULT
-        : borderColorForLength(blockLengths.get(cell.blockId));
-      const strokeColor = hoveredCells.has(key) ? BORDER_HOVER : baseBorder;
-      if (rect.width > 0 && rect.height > 0 && !isAnimatingCell) {
-        ctx.save();
-        if (cellAlpha < 1) ctx.globalAlpha = cellAlpha;
-        ctx.strokeStyle = strokeColor;
-        ctx.lineWidth = 2;
-        strokeRectWithMargins(ctx, rect, margins);
-        ctx.restore();
+        drawGridCell(x, y, 1, lengths);
       }
-      if (isEmptyCell(cell)) {
-        ctx.strokeStyle = BORDER_DEFAULT;
-        ctx.strokeRect(x * CELL_SIZE, y * CELL_SIZE, CELL_SIZE, CELL_SIZE);
+    }
+    drawPreviewRows(nextRows);
+  });
+  boardCache = { fallingAnimation, lineClearAnimation, lengths, clearingCells };
+  return boardCache;
+}
+
+function renderHoveredBlock() {
+  ctx.save();
+  ctx.strokeStyle = theme.borderHover;
+  ctx.lineWidth = 2;
+  for (const cell of hoveredBlock.cells) {
+    const margins = computeGridCellMargins(cell.x, cell.y);
+    strokeRectWithMargins(ctx, computeDrawRect(cell.x, cell.y, margins), margins);
+  }
+  ctx.restore();
+}
+
+function render(timestamp = performance.now()) {
+  frameRequest = null;
+  if (replayPlayer) replayPlayer.update(timestamp);
+  if (botPlayer && !isTidePaused()) botPlayer.update(timestamp);
+  updateTide(timestamp);
+  const { selectedBlock, fallingAnimation } = engine;
+  const board = updateBoardLayer();
+  ctx.clearRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+  ctx.drawImage(boardLayer, 0, 0, CANVAS_WIDTH, BOARD_AREA_HEIGHT);
+  const activeLineClearAnimation = engine.lineClearAnimation;
+  let lineClearProgress = 0;
+  if (activeLineClearAnimation) {
+    lineClearProgress = animationProgress(
+      activeLineClearAnimation,
+      timestamp,
+      LINE_CLEAR_DURATION
+    );
+    const alpha = Math.max(0, 1 - lineClearProgress);
+    for (const { x, y } of board.clearingCells) {
+      if (activeLineClearAnimation.matchedSet.has(cellKey(x, y))) {
+        drawMatchedCell(engine.cellAt(x, y), x, y, lineClearProgress);
+      } else {
+        drawGridCell(x, y, alpha, board.lengths);
       }
     }
   }
+  if (hoveredBlock) renderHoveredBlock();
+  if (hint) renderHint(hint, selectedBlock);
   if (selectedBlock) {
-    const ghostDropDistance = computeDropDistance(selectedBlock.cells);
+    const ghostDropDistance = engine.computeDropDistance(selectedBlock.cells);
     const length = selectedBlock.baseCells.length;
     const ghostBorderColor = borderColorForLength(length);
     const ghostCells = selectedBlock.cells.map((cell) => ({
@@ -727,19 +1545,23 @@ function render(timestamp = performance.now()) {
       y: cell.y + ghostDropDistance,
     }));
     const ghostCellSet = cellSetFromCells(ghostCells);
+    const ghostLabel = lengthLabelCell(ghostCells);
     ctx.save();
     ctx.globalAlpha = GHOST_FILL_ALPHA;
-    ctx.fillStyle = selectedBlock.color;
     for (const cell of ghostCells) {
       const margins = computeMarginsForCellInSet(cell, ghostCellSet);
       const rect = computeDrawRect(cell.x, cell.y, margins);
       if (rect.width > 0 && rect.height > 0) {
+        ctx.fillStyle = cellFillStyle(selectedBlock, rect);
         ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
       }
     }
     ctx.restore();
     ctx.save();
     ctx.globalAlpha = GHOST_BORDER_ALPHA;
+    for (const cell of ghostCells) {
+      drawCellDecorations(selectedBlock, cell.x, cell.y, cell === ghostLabel ? length : null);
+    }
     ctx.strokeStyle = ghostBorderColor;
     ctx.setLineDash([6, 4]);
     ctx.lineWidth = 2;
@@ -750,134 +1572,250 @@ function render(timestamp = performance.now()) {
     }
     ctx.restore();
     const selectedCellSet = cellSetFromCells(selectedBlock.cells);
+    const selectedLabel = lengthLabelCell(selectedBlock.cells);
     for (const cell of selectedBlock.cells) {
       const margins = computeMarginsForCellInSet(cell, selectedCellSet);
       const rect = computeDrawRect(cell.x, cell.y, margins);
-      ctx.fillStyle = selectedBlock.color;
+      ctx.fillStyle = cellFillStyle(selectedBlock, rect);
       if (rect.width > 0 && rect.height > 0) {
         ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
       }
+      drawCellDecorations(selectedBlock, cell.x, cell.y, cell === selectedLabel ? length : null);
       ctx.save();
-      ctx.strokeStyle = BORDER_SELECTED;
+      ctx.strokeStyle = theme.borderSelected;
       ctx.lineWidth = 2;
       strokeRectWithMargins(ctx, rect, margins);
       ctx.restore();
     }
   }
-  const previewY = HEIGHT * CELL_SIZE;
-  if (!nextRow) nextRow = generateNextRow();
-  const previewLengths = new Map();
-  for (const cell of nextRow) {
-    if (!cell || isEmptyCell(cell) || cell.blockId === null) continue;
-    previewLengths.set(cell.blockId, (previewLengths.get(cell.blockId) || 0) + 1);
-  }
-  const previewBlockCells = new Map();
-  for (let x = 0; x < WIDTH; x++) {
-    const cell = nextRow[x];
-    if (!cell || isEmptyCell(cell) || cell.blockId === null) continue;
-    if (!previewBlockCells.has(cell.blockId)) {
-      previewBlockCells.set(cell.blockId, []);
-    }
-    previewBlockCells.get(cell.blockId).push({ x, y: HEIGHT });
-  }
-  const previewCellSets = new Map();
-  for (const [blockId, cells] of previewBlockCells) {
-    previewCellSets.set(blockId, cellSetFromCells(cells));
+  if (cursor.visible && !engine.gameOver) {
+    ctx.save();
+    ctx.strokeStyle = theme.borderCursor;
+    ctx.lineWidth = 3;
+    ctx.strokeRect(cursor.x * CELL_SIZE + 1.5, cursor.y * CELL_SIZE + 1.5, CELL_SIZE - 3, CELL_SIZE - 3);
+    ctx.restore();
   }
-  ctx.save();
-  for (let x = 0; x < WIDTH; x++) {
-    const cell = nextRow[x] ?? makeCell(COLOR_BACKGROUND);
-    const isBlockCell = !isEmptyCell(cell) && cell.blockId !== null;
-    const previewPosition = { x, y: HEIGHT };
-    const margins = isBlockCell
-      ? computeMarginsForCellInSet(previewPosition, previewCellSets.get(cell.blockId))
-      : defaultCellMargins();
-    const rect = computeDrawRect(previewPosition.x, previewPosition.y, margins);
-    ctx.fillStyle = isBlockCell ? cell.color : COLOR_BACKGROUND;
-    ctx.globalAlpha = isBlockCell ? 0.45 : 1;
-    if (rect.width > 0 && rect.height > 0) {
-      ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
-    }
-    ctx.globalAlpha = 1;
-    const borderColor = isEmptyCell(cell)
-      ? BORDER_DEFAULT
-      : borderColorForLength(previewLengths.get(cell.blockId));
-    if (isBlockCell && rect.width > 0 && rect.height > 0) {
-      ctx.save();
-      ctx.strokeStyle = borderColor;
-      ctx.lineWidth = 2;
-      strokeRectWithMargins(ctx, rect, margins);
-      ctx.restore();
-    }
-    if (!isBlockCell) {
-      ctx.strokeStyle = BORDER_DEFAULT;
-      ctx.strokeRect(x * CELL_SIZE, previewY, CELL_SIZE, CELL_SIZE);
-    }
+  if (tideTimer) {
+    ctx.save();
+    const fraction = tideTimer.fraction;
+    ctx.fillStyle = fraction < TIDE_WARNING_FRACTION ? theme.errorText : theme.level;
+    ctx.fillRect(0, BOARD_AREA_HEIGHT - TIDE_BAR_HEIGHT, CANVAS_WIDTH * fraction, TIDE_BAR_HEIGHT);
+    ctx.restore();
   }
-  ctx.restore();
-  ctx.save();
-  ctx.fillStyle = LABEL_COLOR;
-  ctx.font = "16px sans-serif";
-  ctx.textAlign = "left";
-  ctx.textBaseline = "middle";
-  ctx.fillText("Next row", 8, previewY + CELL_SIZE / 2);
-  ctx.restore();
   if (fallingAnimation) {
     const anim = fallingAnimation;
-    if (anim.startTime === null) anim.startTime = timestamp;
-    const elapsed = timestamp - anim.startTime;
-    const duration = anim.duration || MIN_FALL_DURATION;
-    const progress = Math.min(1, duration ? elapsed / duration : 1);
+    const duration = Math.max(MIN_FALL_DURATION, anim.maxDrop * FALL_ANIMATION_PER_ROW);
+    const progress = animationProgress(anim, timestamp, duration);
     ctx.save();
     ctx.lineWidth = 2;
     for (const move of anim.moves) {
-      const strokeColor = anim.strokeStyle == null
-        ? borderColorForLength(move.cells.length)
-        : anim.strokeStyle;
-      ctx.fillStyle = move.color;
+      const strokeColor = anim.isPlayerDrop
+        ? theme.borderSelected
+        : borderColorForLength(move.cells.length);
       ctx.strokeStyle = strokeColor;
       const moveCellSet = cellSetFromCells(move.cells);
+      const moveLabel = lengthLabelCell(move.cells);
       for (const cell of move.cells) {
         const currentY = cell.y + progress * move.dropDistance;
         const margins = computeMarginsForCellInSet(cell, moveCellSet);
         const rect = computeDrawRect(cell.x, currentY, margins);
         if (rect.width > 0 && rect.height > 0) {
+          ctx.fillStyle = cellFillStyle(move, rect);
           ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
           strokeRectWithMargins(ctx, rect, margins);
+          drawCellDecorations(move, cell.x, currentY, cell === moveLabel ? move.cells.length : null);
         }
       }
     }
     ctx.restore();
     if (progress >= 1) {
-      const completedAnimation = anim;
-      fallingAnimation = null;
-      if (typeof completedAnimation.finalize === "function") {
-        completedAnimation.finalize(completedAnimation.moves);
-      }
-      const callbacks = completedAnimation.after.slice();
-      for (const cb of callbacks) cb();
+      sound.land(anim.isPlayerDrop);
+      engine.finishFallAnimation();
     }
   }
   ctx.save();
-  ctx.fillStyle = TEXT_COLOR;
+  ctx.fillStyle = theme.text;
   ctx.font = "20px sans-serif";
   ctx.textAlign = "right";
   ctx.textBaseline = "top";
-  ctx.fillText(`Score: ${score}`, game.width - 10, 10);
+  const scoreText = `Score: ${engine.score}`;
+  ctx.fillText(scoreText, CANVAS_WIDTH - 10, 10);
+  const scoreWidth = ctx.measureText(scoreText).width;
+  ctx.fillStyle = theme.level;
+  ctx.font = "bold 14px sans-serif";
+  ctx.fillText(`Lv ${engine.level}`, CANVAS_WIDTH - 22 - scoreWidth, 14);
+  ctx.fillStyle = theme.label;
+  ctx.font = "12px sans-serif";
+  if (engine.maxMoves !== null) {
+    ctx.fillText(`Moves: ${engine.moves}/${engine.maxMoves}`, CANVAS_WIDTH - 10, 36);
+  }
+  ctx.textAlign = "left";
+  if (replayPlayer) {
+    const state = replayPlayer.paused ? " (paused)" : "";
+    ctx.fillText(`Replay ${replayPlayer.index}/${replayPlayer.total}${state}`, 10, 10);
+    if (replayPlayer.error) {
+      ctx.fillStyle = theme.errorText;
+      ctx.fillText(replayPlayer.error, 10, 28);
+    }
+  } else {
+    ctx.fillText(dailyDate ? `Daily ${dailyDate}` : `Seed: ${engine.seed}`, 10, 10);
+    if (botPlayer) {
+      const state = botPlayer.stuck ? " (no moves left)" : "";
+      ctx.fillText(`Autoplay: ${botPlayer.strategy}${state}`, 10, 28);
+    }
+  }
   ctx.restore();
   if (activeLineClearAnimation && lineClearProgress >= 1) {
-    const completedAnimation = activeLineClearAnimation;
-    lineClearAnimation = null;
-    if (typeof completedAnimation.finalize === "function") {
-      completedAnimation.finalize(completedAnimation.rows);
+    // The fall above may already have finished this one through its callbacks
+    if (engine.lineClearAnimation === activeLineClearAnimation) {
+      engine.finishLineClearAnimation();
+    }
+  }
+  renderScorePopups(timestamp);
+  renderControlBar();
+  if (engine.gameOver) {
+    renderGameOver(timestamp);
+  } else if (isTidePaused()) {
+    renderPaused();
+  }
+  if (needsNextFrame(timestamp)) requestRender();
+}
+
+function renderScorePopups(timestamp) {
+  ctx.save();
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  for (let i = scorePopups.length - 1; i >= 0; i--) {
+    const popup = scorePopups[i];
+    const progress = animationProgress(popup, timestamp, SCORE_POPUP_DURATION);
+    if (progress >= 1) {
+      scorePopups.splice(i, 1);
+      continue;
     }
-    const callbacks = completedAnimation.after ? completedAnimation.after.slice() : [];
-    for (const cb of callbacks) cb();
+    const { rows, matchedCells, points } = popup.award;
+    // Centered on the cleared rows, or on the matched cells when no row cleared
+    const clearedYs = rows.length > 0 ? rows : matchedCells.map((cell) => cell.y);
+    const rowCenter = clearedYs.reduce((sum, y) => sum + y, 0) / clearedYs.length + 0.5;
+    const y = (rowCenter - progress * SCORE_POPUP_RISE) * CELL_SIZE;
+    ctx.globalAlpha = 1 - progress * progress;
+    ctx.fillStyle = theme.scorePopup;
+    ctx.font = "bold 22px sans-serif";
+    ctx.fillText(`+${points}`, CANVAS_WIDTH / 2, y - 10);
+    ctx.font = "13px sans-serif";
+    ctx.fillText(popup.labels.join(" · "), CANVAS_WIDTH / 2, y + 12);
   }
-  requestAnimationFrame(render);
+  ctx.restore();
 }
 
-for (let i = 0; i < 5; i++) {
-  spawnBlocks({ animateSettle: false });
+function renderControlBar() {
+  const top = (HEIGHT + PREVIEW_ROWS) * CELL_SIZE;
+  ctx.save();
+  ctx.fillStyle = theme.cellGap;
+  ctx.fillRect(0, top, CANVAS_WIDTH, CONTROL_BAR_HEIGHT);
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.font = "14px sans-serif";
+  for (const button of controlButtons()) {
+    const { rect } = button;
+    ctx.fillStyle = button.enabled ? theme.button : theme.buttonDisabled;
+    ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+    ctx.fillStyle = button.enabled ? theme.buttonText : theme.buttonDisabledText;
+    ctx.fillText(button.label, rect.x + rect.width / 2, rect.y + rect.height / 2);
+  }
+  ctx.restore();
 }
-render();
+
+function renderHint(activeHint, selectedBlock) {
+  ctx.save();
+  ctx.strokeStyle = theme.borderHint;
+  ctx.lineWidth = 3;
+  // The source outline goes away once the hinted block is lifted
+  if (!selectedBlock || selectedBlock.blockId !== activeHint.blockId) {
+    const cellSet = cellSetFromCells(activeHint.cells);
+    for (const cell of activeHint.cells) {
+      const margins = computeMarginsForCellInSet(cell, cellSet);
+      strokeRectWithMargins(ctx, computeDrawRect(cell.x, cell.y, margins), margins);
+    }
+  }
+  const targetSet = cellSetFromCells(activeHint.targetCells);
+  ctx.globalAlpha = GHOST_FILL_ALPHA;
+  ctx.fillStyle = themedColor(activeHint.color);
+  for (const cell of activeHint.targetCells) {
+    const rect = computeDrawRect(cell.x, cell.y, computeMarginsForCellInSet(cell, targetSet));
+    ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+  }
+  ctx.globalAlpha = GHOST_BORDER_ALPHA;
+  ctx.setLineDash([6, 4]);
+  ctx.lineWidth = 2;
+  for (const cell of activeHint.targetCells) {
+    const margins = computeMarginsForCellInSet(cell, targetSet);
+    strokeRectWithMargins(ctx, computeDrawRect(cell.x, cell.y, margins), margins);
+  }
+  ctx.restore();
+}
+
+function renderPaused() {
+  ctx.save();
+  ctx.fillStyle = theme.overlay;
+  ctx.fillRect(0, 0, CANVAS_WIDTH, (HEIGHT + PREVIEW_ROWS) * CELL_SIZE);
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillStyle = theme.text;
+  ctx.font = "bold 32px sans-serif";
+  ctx.fillText("Paused", CANVAS_WIDTH / 2, (HEIGHT * CELL_SIZE) / 2 - 20);
+  ctx.fillStyle = theme.label;
+  ctx.font = "16px sans-serif";
+  ctx.fillText("Press P or Resume to continue", CANVAS_WIDTH / 2, (HEIGHT * CELL_SIZE) / 2 + 20);
+  ctx.restore();
+}
+
+function drawOverlayButton(rect, label) {
+  ctx.fillStyle = theme.button;
+  ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+  ctx.fillStyle = theme.buttonText;
+  ctx.font = "bold 18px sans-serif";
+  ctx.fillText(label, rect.x + rect.width / 2, rect.y + rect.height / 2);
+}
+
+function renderGameOver(timestamp) {
+  const { gameOver } = engine;
+  const boardHeight = HEIGHT * CELL_SIZE;
+  const centerX = CANVAS_WIDTH / 2;
+  const centerY = boardHeight / 2;
+  ctx.save();
+  ctx.fillStyle = theme.overlay;
+  // The control bar stays uncovered so a losing move can still be undone
+  ctx.fillRect(0, 0, CANVAS_WIDTH, (HEIGHT + PREVIEW_ROWS) * CELL_SIZE);
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillStyle = theme.text;
+  ctx.font = "bold 32px sans-serif";
+  const title = gameOver.reason === "outOfMoves" ? "Out of moves" : "Game over";
+  ctx.fillText(title, centerX, centerY - 60);
+  ctx.font = "20px sans-serif";
+  ctx.fillText(`Score: ${gameOver.score}`, centerX, centerY - 15);
+  ctx.fillStyle = theme.label;
+  ctx.font = "16px sans-serif";
+  ctx.fillText(`Rows survived: ${gameOver.rowsSurvived}`, centerX, centerY + 15);
+  ctx.fillText(`Lines cleared: ${gameOver.linesCleared}`, centerX, centerY + 40);
+  if (statsTracker.lastRank !== null && !replayPlayer) {
+    ctx.fillStyle = theme.scorePopup;
+    ctx.font = "bold 16px sans-serif";
+    ctx.fillText(`New high score: #${statsTracker.lastRank}`, centerX, centerY + 63);
+  }
+  if (replayPlayer) {
+    // Playback controls live in the toolbar; exiting returns to the saved game
+    ctx.restore();
+    return;
+  }
+  drawOverlayButton(restartButtonRect(), "Restart");
+  if (dailyDate) {
+    const copied = timestamp < copyFeedbackUntil;
+    drawOverlayButton(copyButtonRect(), copied ? "Copied!" : "Copy result");
+  }
+  ctx.restore();
+}
+
+fitCanvasToViewport();
+if (!restoreSavedGame()) startGame();
+requestRender();
@@ -0,0 +1,47 @@
+// Difficulty curve. The level rises with lines cleared and each level tunes
+// how rows are generated and how often a new one arrives.
+
+const LINES_PER_LEVEL = 5;
+// maxBlockSpawn: filled cells per row at most
+// gapChance: chance that a run of the row is left empty
+// lengthWeights: relative odds of block lengths 1, 2, 3, 4
+// colorCount: how many of the block colors rows are drawn from
+// movesPerSpawn: horizontal moves allowed before a new row is forced in
+const DIFFICULTY_LEVELS = [
+  { maxBlockSpawn: 5, gapChance: 0.3, lengthWeights: [4, 3, 2, 1], colorCount: 2, movesPerSpawn: 2 },
+  { maxBlockSpawn: 6, gapChance: 0.25, lengthWeights: [3, 3, 2, 1], colorCount: 3, movesPerSpawn: 2 },
+  { maxBlockSpawn: 7, gapChance: 0.2, lengthWeights: [1, 1, 1, 1], colorCount: 4, movesPerSpawn: 1 },
+  { maxBlockSpawn: 7, gapChance: 0.15, lengthWeights: [1, 2, 2, 2], colorCount: 4, movesPerSpawn: 1 },
+  { maxBlockSpawn: 8, gapChance: 0.12, lengthWeights: [1, 1, 2, 3], colorCount: 4, movesPerSpawn: 1 },
+  { maxBlockSpawn: 8, gapChance: 0.08, lengthWeights: [1, 1, 2, 4], colorCount: 4, movesPerSpawn: 1 },
+];
+
+function levelForLines(linesCleared, levels = DIFFICULTY_LEVELS) {
+  return Math.min(levels.length, 1 + Math.floor(linesCleared / LINES_PER_LEVEL));
+}
+
+function levelSettings(level, levels = DIFFICULTY_LEVELS) {
+  return levels[Math.max(1, Math.min(levels.length, level)) - 1];
+}
+
+function pickBlockLength(lengthWeights, maxLength, random) {
+  const weights = lengthWeights.slice(0, maxLength);
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  if (total <= 0) return 1;
+  let roll = random.next() * total;
+  for (let i = 0; i < weights.length; i++) {
+    roll -= weights[i];
+    if (roll < 0) return i + 1;
+  }
+  return weights.length;
+}
+
+if (typeof module !== "undefined") {
+  module.exports = {
+    LINES_PER_LEVEL,
+    DIFFICULTY_LEVELS,
+    levelForLines,
+    levelSettings,
+    pickBlockLength,
+  };
+}
@@ -0,0 +1,47 @@
+// Seedable PRNG so that a game can be reproduced from its seed. Any object
+// with the same shape can be handed to the engine instead.
+
+function hashSeed(seed) {
+  if (typeof seed === "number") return seed >>> 0;
+  // FNV-1a over the characters of the seed string
+  let hash = 0x811c9dc5;
+  const text = String(seed);
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function createRandom(seed) {
+  let state = hashSeed(seed);
+  return {
+    seed,
+    // mulberry32, returns a float in [0, 1)
+    next() {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    },
+    getState() {
+      return state;
+    },
+    setState(value) {
+      state = value >>> 0;
+    },
+  };
+}
+
+function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000).toString(36);
+}
+
+if (typeof module !== "undefined") {
+  module.exports = {
+    hashSeed,
+    createRandom,
+    randomSeed,
+  };
+}
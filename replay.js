@@ -0,0 +1,262 @@
+// A replay is the seed, a fingerprint of the opening rows and the committed
+// moves. Feeding the moves back through the engine reproduces the game.
+
+const REPLAY_FORMAT_VERSION = 1;
+// Recorded pauses are clamped so playback neither stalls nor blurs
+const REPLAY_MIN_STEP_DELAY = 150;
+const REPLAY_MAX_STEP_DELAY = 2000;
+// How long a picked block is shown before it drops
+const REPLAY_SELECT_DELAY = 250;
+
+if (typeof module !== "undefined") {
+  // In the browser these come from the engine.js script tag instead
+  var { isEmptyCell } = require("./engine.js");
+}
+
+function encodeBoardRows(engine) {
+  const rows = [];
+  for (let y = 0; y < engine.height; y++) {
+    let row = "";
+    for (let x = 0; x < engine.width; x++) {
+      const cell = engine.cellAt(x, y);
+      const colorIndex = engine.blockColors.indexOf(cell.color);
+      row += isEmptyCell(cell) ? "." : colorIndex >= 0 ? String(colorIndex) : "?";
+    }
+    rows.push(row);
+  }
+  return rows;
+}
+
+function createReplayRecorder(engine, options = {}) {
+  const now = options.now ?? (() => Date.now());
+  let replay = null;
+  let startedAt = 0;
+  let pickedCell = null;
+  let enabled = true;
+  // Moves taken back by undo, so redo can put them back in the log
+  const undoneMoves = [];
+
+  engine.on("newGame", ({ seed }) => {
+    if (!enabled) return;
+    replay = {
+      version: REPLAY_FORMAT_VERSION,
+      seed,
+      rules: engine.rules.id,
+      width: engine.width,
+      height: engine.height,
+      maxMoves: engine.maxMoves,
+      initialRows: encodeBoardRows(engine),
+      moves: [],
+    };
+    startedAt = now();
+    undoneMoves.length = 0;
+  });
+  engine.on("select", ({ x, y }) => {
+    pickedCell = { x, y };
+  });
+  engine.on("spawn", ({ forced }) => {
+    // Timed rows are part of the log; rows brought in by moves replay themselves
+    if (!enabled || !replay || !forced) return;
+    replay.moves.push({ spawn: true, t: Math.round(now() - startedAt) });
+  });
+  engine.on("drop", ({ offset }) => {
+    const cell = pickedCell;
+    pickedCell = null;
+    // Drops in place leave the board untouched, so there is nothing to replay
+    if (!enabled || !replay || !cell || offset === 0) return;
+    replay.moves.push({ x: cell.x, y: cell.y, offset, t: Math.round(now() - startedAt) });
+    undoneMoves.length = 0;
+  });
+  engine.on("undo", () => {
+    if (enabled && replay && replay.moves.length > 0) undoneMoves.push(replay.moves.pop());
+  });
+  engine.on("redo", () => {
+    if (enabled && replay && undoneMoves.length > 0) replay.moves.push(undoneMoves.pop());
+  });
+  engine.on("load", () => {
+    if (enabled) replay = null;
+  });
+
+  return {
+    get replay() {
+      return replay;
+    },
+    restore(saved) {
+      replay = saved ? parseReplay(saved) : null;
+      const lastMove = replay?.moves[replay.moves.length - 1];
+      startedAt = now() - (lastMove ? lastMove.t : 0);
+      undoneMoves.length = 0;
+    },
+    setEnabled(value) {
+      enabled = value;
+      pickedCell = null;
+    },
+  };
+}
+
+function parseReplay(data) {
+  if (!data || typeof data !== "object" || data.version !== REPLAY_FORMAT_VERSION) {
+    throw new Error("Unsupported replay format version");
+  }
+  if (typeof data.seed !== "string" && typeof data.seed !== "number") {
+    throw new Error("Replay has no seed");
+  }
+  if (!Number.isInteger(data.width) || !Number.isInteger(data.height)) {
+    throw new Error("Replay has no board size");
+  }
+  if (data.rules !== undefined && typeof data.rules !== "string") {
+    throw new Error("Replay rules are corrupt");
+  }
+  if (!Array.isArray(data.initialRows) || !data.initialRows.every((row) => typeof row === "string")) {
+    throw new Error("Replay initial rows are corrupt");
+  }
+  if (!Array.isArray(data.moves)) throw new Error("Replay moves are missing");
+  const moves = data.moves.map((move, index) => {
+    if (move && move.spawn === true && Number.isInteger(move.t)) {
+      return { spawn: true, t: move.t };
+    }
+    const valid = move && ["x", "y", "offset", "t"].every((key) => Number.isInteger(move[key]));
+    if (!valid) throw new Error(`Replay move ${index + 1} is corrupt`);
+    return { x: move.x, y: move.y, offset: move.offset, t: move.t };
+  });
+  return {
+    version: REPLAY_FORMAT_VERSION,
+    seed: data.seed,
+    // Replays from before rule sets existed were all classic
+    rules: data.rules ?? "classic",
+    width: data.width,
+    height: data.height,
+    maxMoves: Number.isInteger(data.maxMoves) ? data.maxMoves : null,
+    initialRows: data.initialRows.slice(),
+    moves,
+  };
+}
+
+function createReplayPlayer(engine, replay) {
+  let index = 0;
+  let paused = false;
+  let speed = 1;
+  let nextActionAt = null;
+  let error = null;
+
+  function start() {
+    if (replay.rules !== engine.rules.id) {
+      throw new Error(`Replay was recorded with the "${replay.rules}" rules`);
+    }
+    if (replay.width !== engine.width || replay.height !== engine.height) {
+      throw new Error("Replay was recorded on a different board size");
+    }
+    engine.newGame({ seed: replay.seed, maxMoves: replay.maxMoves, undoLimit: 0 });
+    const rows = encodeBoardRows(engine);
+    if (rows.join("\n") !== replay.initialRows.join("\n")) {
+      throw new Error("Replay does not match this version of the game");
+    }
+    index = 0;
+    nextActionAt = null;
+    error = null;
+  }
+
+  function isFinished() {
+    return error !== null || (index >= replay.moves.length && !engine.selectedBlock);
+  }
+
+  // Returns true when a block is now waiting to be placed
+  function pickUp() {
+    const move = replay.moves[index];
+    if (move.spawn) {
+      if (engine.spawn()) {
+        index++;
+      } else {
+        error = `Replay diverged at move ${index + 1}`;
+      }
+      return false;
+    }
+    if (!engine.selectBlock(move.x, move.y)) {
+      error = `Replay diverged at move ${index + 1}`;
+      return false;
+    }
+    engine.moveSelected(move.offset);
+    if (engine.selectedBlock.offset !== move.offset) {
+      engine.cancelSelection();
+      error = `Replay diverged at move ${index + 1}`;
+      return false;
+    }
+    return true;
+  }
+
+  function place() {
+    engine.drop();
+    index++;
+  }
+
+  // Performs the next pick-up and drop at once, ignoring recorded timing
+  function step() {
+    if (isFinished() || engine.isBusy() || engine.gameOver) return false;
+    if (!engine.selectedBlock && !pickUp()) return error === null;
+    place();
+    nextActionAt = null;
+    return true;
+  }
+
+  function delayBeforeMove() {
+    const move = replay.moves[index];
+    const previous = index > 0 ? replay.moves[index - 1].t : 0;
+    const gap = Math.min(REPLAY_MAX_STEP_DELAY, Math.max(REPLAY_MIN_STEP_DELAY, move.t - previous));
+    return gap / speed;
+  }
+
+  function update(now) {
+    if (paused || isFinished() || engine.isBusy() || engine.gameOver) return;
+    if (nextActionAt === null) {
+      nextActionAt = now + (engine.selectedBlock ? REPLAY_SELECT_DELAY / speed : delayBeforeMove());
+      return;
+    }
+    if (now < nextActionAt) return;
+    nextActionAt = null;
+    if (engine.selectedBlock) {
+      place();
+    } else {
+      pickUp();
+    }
+  }
+
+  return {
+    get index() {
+      return index;
+    },
+    get total() {
+      return replay.moves.length;
+    },
+    get paused() {
+      return paused;
+    },
+    get speed() {
+      return speed;
+    },
+    get error() {
+      return error;
+    },
+    isFinished,
+    start,
+    step,
+    update,
+    setPaused(value) {
+      paused = value;
+      nextActionAt = null;
+    },
+    setSpeed(value) {
+      speed = value > 0 ? value : 1;
+      nextActionAt = null;
+    },
+  };
+}
+
+if (typeof module !== "undefined") {
+  module.exports = {
+    REPLAY_FORMAT_VERSION,
+    encodeBoardRows,
+    createReplayRecorder,
+    parseReplay,
+    createReplayPlayer,
+  };
+}
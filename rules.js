@@ -0,0 +1,99 @@
+// Rule sets: board size and the row generation limits that go with it. The
+// engine plays by one of these and the client sizes the canvas from it.
+
+// maxBlockSpawn: filled cells a new row can hold at most, below the width so a row never arrives full
+// maxBlockLength: longest block a row can contain
+// rerollAttempts: rows regenerated before giving up on one that would not clear lines by itself
+// shapeChance: odds that a block arrives as a two-row piece instead of a strip
+// previewRows: rows shown under the board for what spawns next, two once pieces can span two
+// specialChances: odds per block of arriving as a bomb, anchor or rainbow block
+// colorMatchSize: connected same-colored cells that clear as a group, left out where only rows clear
+const DEFAULT_SPECIAL_CHANCES = { bomb: 0.03, anchor: 0.01, rainbow: 0.04 };
+const RULE_PRESETS = {
+  classic: {
+    name: "Classic 10x20",
+    width: 10,
+    height: 20,
+    cellSize: 35,
+    previewRows: 1,
+    maxBlockSpawn: 9,
+    maxBlockLength: 4,
+    rerollAttempts: 20,
+    specialChances: DEFAULT_SPECIAL_CHANCES,
+  },
+  narrow: {
+    name: "Narrow 6x16",
+    width: 6,
+    height: 16,
+    cellSize: 40,
+    previewRows: 1,
+    maxBlockSpawn: 5,
+    maxBlockLength: 3,
+    rerollAttempts: 20,
+    specialChances: DEFAULT_SPECIAL_CHANCES,
+  },
+  wide: {
+    name: "Wide 14x20",
+    width: 14,
+    height: 20,
+    cellSize: 30,
+    previewRows: 1,
+    maxBlockSpawn: 13,
+    maxBlockLength: 4,
+    rerollAttempts: 20,
+    specialChances: DEFAULT_SPECIAL_CHANCES,
+  },
+  polyomino: {
+    name: "Polyomino 10x20",
+    width: 10,
+    height: 20,
+    cellSize: 35,
+    previewRows: 2,
+    maxBlockSpawn: 9,
+    maxBlockLength: 4,
+    rerollAttempts: 20,
+    specialChances: DEFAULT_SPECIAL_CHANCES,
+    shapeChance: 0.15,
+  },
+  colorMatch: {
+    name: "Color match 10x20",
+    width: 10,
+    height: 20,
+    cellSize: 35,
+    previewRows: 1,
+    maxBlockSpawn: 9,
+    maxBlockLength: 4,
+    rerollAttempts: 20,
+    specialChances: DEFAULT_SPECIAL_CHANCES,
+    colorMatchSize: 6,
+  },
+};
+const DEFAULT_RULES_ID = "classic";
+// Difficulty levels are tuned for this width and scale with the board
+const RULES_REFERENCE_WIDTH = 10;
+
+function isRulesId(id) {
+  return Object.prototype.hasOwnProperty.call(RULE_PRESETS, id);
+}
+
+// Unknown ids fall back to the classic rules
+function resolveRules(id = DEFAULT_RULES_ID) {
+  const rulesId = isRulesId(id) ? id : DEFAULT_RULES_ID;
+  return { id: rulesId, ...RULE_PRESETS[rulesId] };
+}
+
+// How many filled cells a row may get at a level that allows levelSpawn on the reference width
+function scaledBlockSpawn(rules, levelSpawn) {
+  const scaled = Math.round((levelSpawn * rules.width) / RULES_REFERENCE_WIDTH);
+  return Math.max(1, Math.min(rules.maxBlockSpawn, scaled));
+}
+
+if (typeof module !== "undefined") {
+  module.exports = {
+    RULE_PRESETS,
+    DEFAULT_RULES_ID,
+    isRulesId,
+    resolveRules,
+    scaledBlockSpawn,
+  };
+}
@@ -0,0 +1,49 @@
+// Points for line clears. Bigger single clears, cascades inside one settle
+// and combos over consecutive clearing moves are all worth more.
+
+const LINE_CLEAR_POINTS = [0, 100, 300, 500, 800];
+// Each row past four in a single clear
+const EXTRA_LINE_POINTS = 300;
+// Per cleared row, for every previous move in the current combo
+const COMBO_BONUS = 50;
+const CLEAR_NAMES = ["", "Single", "Double", "Triple", "Quad"];
+// Each cell a bomb clears outside the cleared rows
+const BLAST_CELL_POINTS = 20;
+// Each cell of a cleared color group
+const MATCH_CELL_POINTS = 25;
+
+function basePointsForLines(lines) {
+  if (lines < LINE_CLEAR_POINTS.length) return LINE_CLEAR_POINTS[lines];
+  const maxNamed = LINE_CLEAR_POINTS.length - 1;
+  return LINE_CLEAR_POINTS[maxNamed] + (lines - maxNamed) * EXTRA_LINE_POINTS;
+}
+
+// cascade is 1 for the first clear of a settle, 2 for the clear it triggers...
+// combo counts the clearing moves immediately before this one
+function scoreClear({ lines, cascade, combo, blasted = 0, groups = 0, matched = 0 }) {
+  if (lines <= 0 && groups <= 0) return 0;
+  const base = basePointsForLines(lines) + MATCH_CELL_POINTS * matched;
+  return (
+    base * Math.max(1, cascade) +
+    COMBO_BONUS * combo * (lines + groups) +
+    BLAST_CELL_POINTS * blasted
+  );
+}
+
+function describeClear({ lines, cascade, combo, blasted = 0, groups = 0 }) {
+  const labels = [];
+  if (lines > 0) labels.push(CLEAR_NAMES[lines] ?? `${lines} lines`);
+  if (groups > 0) labels.push(groups > 1 ? `Color match ×${groups}` : "Color match");
+  if (blasted > 0) labels.push(`Blast ${blasted}`);
+  if (cascade > 1) labels.push(`Cascade ×${cascade}`);
+  if (combo > 0) labels.push(`Combo ${combo + 1}`);
+  return labels;
+}
+
+if (typeof module !== "undefined") {
+  module.exports = {
+    basePointsForLines,
+    scoreClear,
+    describeClear,
+  };
+}
@@ -0,0 +1,225 @@
+// Sound effects and background music synthesized with the Web Audio API, no
+// asset files. Browsers only allow audio after the player interacts with the
+// page, so the audio context is created on the first gesture and sounds before
+// that are skipped.
+
+if (typeof module !== "undefined") {
+  // In the browser these come from the storage.js script tag instead
+  var { readStoredJson, writeStoredJson } = require("./storage.js");
+}
+
+const SOUND_STORAGE_KEY = "reverse-tetris:sound";
+const DEFAULT_SOUND_SETTINGS = { master: 0.8, effects: 0.7, music: 0.4, muted: false };
+// Each slide step ticks a little after the previous one
+const SLIDE_STEP_SPACING = 0.035;
+// Semitones the clear chord rises per cascade step
+const CASCADE_PITCH_STEP = 3;
+const CLEAR_BASE_FREQUENCY = 523.25;
+// The music loops an arpeggio over these chords, as MIDI note numbers
+const MUSIC_PROGRESSION = [
+  [57, 60, 64],
+  [53, 57, 60],
+  [48, 52, 55],
+  [55, 59, 62],
+];
+// Chord tones picked on each eighth note of a bar
+const MUSIC_ARPEGGIO = [0, 1, 2, 1, 0, 1, 2, 1];
+const MUSIC_TEMPO = 96;
+// Notes are queued this many seconds ahead by a timer running this often in ms,
+// so a busy frame does not make the music stutter
+const MUSIC_SCHEDULE_AHEAD = 0.3;
+const MUSIC_TIMER_INTERVAL = 100;
+
+function midiFrequency(note) {
+  return 440 * 2 ** ((note - 69) / 12);
+}
+
+function loadSoundSettings() {
+  const stored = readStoredJson(SOUND_STORAGE_KEY);
+  const settings = { ...DEFAULT_SOUND_SETTINGS };
+  if (!stored || typeof stored !== "object") return settings;
+  for (const key of ["master", "effects", "music"]) {
+    const value = stored[key];
+    if (typeof value === "number" && value >= 0 && value <= 1) settings[key] = value;
+  }
+  if (typeof stored.muted === "boolean") settings.muted = stored.muted;
+  return settings;
+}
+
+function createSoundPlayer() {
+  const settings = loadSoundSettings();
+  let context = null;
+  let masterGain = null;
+  let effectsGain = null;
+  let musicGain = null;
+  // Audio clock time of the next music note and how far into the loop it is
+  let nextNoteTime = 0;
+  let musicStep = 0;
+
+  function saveSettings() {
+    writeStoredJson(SOUND_STORAGE_KEY, settings);
+  }
+
+  function applyVolumes() {
+    if (!context) return;
+    masterGain.gain.value = settings.muted ? 0 : settings.master;
+    effectsGain.gain.value = settings.effects;
+    musicGain.gain.value = settings.music;
+  }
+
+  // Call from a user gesture handler; creating or resuming the context
+  // anywhere else is blocked by autoplay rules
+  function unlock() {
+    if (!context) {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContextClass) return;
+      context = new AudioContextClass();
+      masterGain = context.createGain();
+      effectsGain = context.createGain();
+      musicGain = context.createGain();
+      effectsGain.connect(masterGain);
+      musicGain.connect(masterGain);
+      masterGain.connect(context.destination);
+      applyVolumes();
+      setInterval(scheduleMusic, MUSIC_TIMER_INTERVAL);
+    }
+    if (context.state === "suspended") context.resume();
+  }
+
+  function canPlay() {
+    return Boolean(context) && context.state === "running" && !settings.muted;
+  }
+
+  // One enveloped oscillator note, optionally gliding to endFrequency
+  function tone({ frequency, endFrequency = frequency, duration, type = "sine", volume = 0.3, delay = 0, output = effectsGain }) {
+    const start = context.currentTime + delay;
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+    oscillator.type = type;
+    oscillator.frequency.setValueAtTime(frequency, start);
+    if (endFrequency !== frequency) {
+      oscillator.frequency.exponentialRampToValueAtTime(endFrequency, start + duration);
+    }
+    gain.gain.setValueAtTime(0.0001, start);
+    gain.gain.exponentialRampToValueAtTime(volume, start + 0.01);
+    gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+    oscillator.connect(gain);
+    gain.connect(output);
+    oscillator.start(start);
+    oscillator.stop(start + duration + 0.02);
+  }
+
+  function noiseBurst({ duration, volume = 0.2, cutoff = 800 }) {
+    const length = Math.ceil(context.sampleRate * duration);
+    const buffer = context.createBuffer(1, length, context.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < length; i++) data[i] = (Math.random() * 2 - 1) * (1 - i / length);
+    const source = context.createBufferSource();
+    const filter = context.createBiquadFilter();
+    const gain = context.createGain();
+    source.buffer = buffer;
+    filter.type = "lowpass";
+    filter.frequency.value = cutoff;
+    gain.gain.value = volume;
+    source.connect(filter);
+    filter.connect(gain);
+    gain.connect(effectsGain);
+    source.start();
+  }
+
+  // Queues the notes due before the next timer tick. Muted or turned down to
+  // nothing, the music rests and picks up where it was when it comes back
+  function scheduleMusic() {
+    if (!canPlay() || settings.music === 0) return;
+    const stepDuration = 60 / MUSIC_TEMPO / 2;
+    const barLength = MUSIC_ARPEGGIO.length;
+    nextNoteTime = Math.max(nextNoteTime, context.currentTime + 0.05);
+    while (nextNoteTime < context.currentTime + MUSIC_SCHEDULE_AHEAD) {
+      const chord = MUSIC_PROGRESSION[Math.floor(musicStep / barLength) % MUSIC_PROGRESSION.length];
+      const delay = nextNoteTime - context.currentTime;
+      const note = chord[MUSIC_ARPEGGIO[musicStep % barLength]] + 12;
+      tone({ frequency: midiFrequency(note), duration: stepDuration * 0.9, type: "triangle", volume: 0.1, delay, output: musicGain });
+      if (musicStep % barLength === 0) {
+        const bass = midiFrequency(chord[0] - 12);
+        tone({ frequency: bass, duration: stepDuration * barLength, volume: 0.14, delay, output: musicGain });
+      }
+      nextNoteTime += stepDuration;
+      musicStep++;
+    }
+  }
+
+  const sounds = {
+    pickUp() {
+      tone({ frequency: 330, endFrequency: 520, duration: 0.09, type: "triangle", volume: 0.25 });
+    },
+    slide(steps) {
+      for (let i = 0; i < Math.min(steps, 8); i++) {
+        tone({ frequency: 880, duration: 0.03, type: "square", volume: 0.06, delay: i * SLIDE_STEP_SPACING });
+      }
+    },
+    // Player drops thud harder than blocks settling under gravity
+    land(isPlayerDrop) {
+      tone({ frequency: 140, endFrequency: 60, duration: 0.14, volume: isPlayerDrop ? 0.4 : 0.2 });
+      noiseBurst({ duration: 0.08, volume: isPlayerDrop ? 0.15 : 0.08, cutoff: 600 });
+    },
+    clear(cascade) {
+      const root = CLEAR_BASE_FREQUENCY * 2 ** ((CASCADE_PITCH_STEP * (cascade - 1)) / 12);
+      [1, 1.25, 1.5].forEach((ratio, i) => {
+        tone({ frequency: root * ratio, duration: 0.3, type: "triangle", volume: 0.18, delay: i * 0.05 });
+      });
+    },
+    spawn() {
+      tone({ frequency: 220, endFrequency: 110, duration: 0.25, type: "sawtooth", volume: 0.08 });
+      noiseBurst({ duration: 0.2, volume: 0.05, cutoff: 300 });
+    },
+  };
+
+  const player = {
+    get master() {
+      return settings.master;
+    },
+    get effects() {
+      return settings.effects;
+    },
+    get music() {
+      return settings.music;
+    },
+    get muted() {
+      return settings.muted;
+    },
+    unlock,
+    setMasterVolume(value) {
+      settings.master = Math.max(0, Math.min(1, value));
+      applyVolumes();
+      saveSettings();
+    },
+    setEffectsVolume(value) {
+      settings.effects = Math.max(0, Math.min(1, value));
+      applyVolumes();
+      saveSettings();
+    },
+    setMusicVolume(value) {
+      settings.music = Math.max(0, Math.min(1, value));
+      applyVolumes();
+      saveSettings();
+    },
+    setMuted(value) {
+      settings.muted = Boolean(value);
+      applyVolumes();
+      saveSettings();
+    },
+  };
+  for (const [name, play] of Object.entries(sounds)) {
+    player[name] = (...args) => {
+      if (canPlay()) play(...args);
+    };
+  }
+  return player;
+}
+
+if (typeof module !== "undefined") {
+  module.exports = {
+    loadSoundSettings,
+    createSoundPlayer,
+  };
+}
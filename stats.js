@@ -0,0 +1,254 @@
+// Lifetime statistics and the local high score table. The tracker follows
+// the engine's events the way the replay recorder does and keeps everything
+// in localStorage, where it can be exported and imported as JSON.
+
+if (typeof module !== "undefined") {
+  // In the browser these come from the storage.js script tag instead
+  var { readStoredJson, writeStoredJson } = require("./storage.js");
+}
+
+const STATS_FORMAT_VERSION = 1;
+const STATS_STORAGE_KEY = "reverse-tetris:stats";
+const LEADERBOARD_SIZE = 10;
+const DEFAULT_PLAYER_NAME = "Player";
+const MAX_PLAYER_NAME_LENGTH = 24;
+// Games are grouped by lines cleared in buckets this wide for the histogram
+const LINES_HISTOGRAM_BUCKET = 5;
+
+function emptyStats() {
+  return {
+    version: STATS_FORMAT_VERSION,
+    playerName: DEFAULT_PLAYER_NAME,
+    leaderboard: [],
+    gamesPlayed: 0,
+    totalScore: 0,
+    bestCascade: 0,
+    // Moves made, keyed by the length of the block moved
+    blocksMovedByLength: {},
+    // Games played, keyed by the lines they cleared
+    linesPerGame: {},
+  };
+}
+
+function isStatCount(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+function parseCounts(data, what) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) throw new Error(`Stats ${what} are corrupt`);
+  const counts = {};
+  for (const [key, value] of Object.entries(data)) {
+    if (!isStatCount(Number(key)) || !isStatCount(value)) throw new Error(`Stats ${what} are corrupt`);
+    counts[key] = value;
+  }
+  return counts;
+}
+
+function parseRun(run, index) {
+  const valid =
+    run &&
+    typeof run.name === "string" &&
+    typeof run.date === "string" &&
+    ["score", "lines", "moves", "bestCascade"].every((key) => isStatCount(run[key])) &&
+    typeof run.mode === "string" &&
+    typeof run.rules === "string" &&
+    (typeof run.seed === "string" || typeof run.seed === "number");
+  if (!valid) throw new Error(`High score ${index + 1} is corrupt`);
+  const { name, date, score, lines, moves, mode, rules, seed, bestCascade } = run;
+  return { name: name.slice(0, MAX_PLAYER_NAME_LENGTH), date, score, lines, moves, mode, rules, seed, bestCascade };
+}
+
+function parseStats(data) {
+  if (!data || typeof data !== "object" || data.version !== STATS_FORMAT_VERSION) {
+    throw new Error("Unsupported stats format version");
+  }
+  if (!Array.isArray(data.leaderboard)) throw new Error("High scores are missing");
+  if (!["gamesPlayed", "totalScore", "bestCascade"].every((key) => isStatCount(data[key]))) {
+    throw new Error("Stats totals are corrupt");
+  }
+  return {
+    version: STATS_FORMAT_VERSION,
+    playerName: typeof data.playerName === "string" ? data.playerName.slice(0, MAX_PLAYER_NAME_LENGTH) : DEFAULT_PLAYER_NAME,
+    leaderboard: data.leaderboard
+      .map(parseRun)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, LEADERBOARD_SIZE),
+    gamesPlayed: data.gamesPlayed,
+    totalScore: data.totalScore,
+    bestCascade: data.bestCascade,
+    blocksMovedByLength: parseCounts(data.blocksMovedByLength, "block counts"),
+    linesPerGame: parseCounts(data.linesPerGame, "line counts"),
+  };
+}
+
+function loadStats() {
+  const stored = readStoredJson(STATS_STORAGE_KEY);
+  if (stored === null) return emptyStats();
+  try {
+    return parseStats(stored);
+  } catch (error) {
+    console.warn("Discarding saved stats:", error.message);
+    return emptyStats();
+  }
+}
+
+// Histogram rows of games by lines cleared, from the fewest lines up
+function linesHistogram(stats) {
+  const buckets = new Map();
+  for (const [lines, games] of Object.entries(stats.linesPerGame)) {
+    const start = Math.floor(Number(lines) / LINES_HISTOGRAM_BUCKET) * LINES_HISTOGRAM_BUCKET;
+    buckets.set(start, (buckets.get(start) || 0) + games);
+  }
+  return [...buckets.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([start, games]) => ({ label: `${start}–${start + LINES_HISTOGRAM_BUCKET - 1}`, games }));
+}
+
+// options.mode() names the mode of the game being played;
+// options.now() gives the time runs are dated with
+function createStatsTracker(engine, options = {}) {
+  const now = options.now ?? (() => Date.now());
+  const currentMode = options.mode ?? (() => "classic");
+  let stats = loadStats();
+  let enabled = true;
+  // One entry per move of the current game: the block length and the deepest cascade it set off
+  let gameMoves = [];
+  // Moves taken back by undo, so redo can put them back
+  const undoneMoves = [];
+  // Set once autoplay has made a move, which keeps the game off the table
+  let assisted = false;
+  // Stats as they were before the last game over, for when that game over is undone
+  let beforeGameOver = null;
+  let lastRank = null;
+
+  function save() {
+    writeStoredJson(STATS_STORAGE_KEY, stats);
+  }
+
+  function recordGame() {
+    beforeGameOver = JSON.parse(JSON.stringify(stats));
+    const bestCascade = gameMoves.reduce((best, move) => Math.max(best, move.cascade), 0);
+    stats.gamesPlayed++;
+    stats.totalScore += engine.score;
+    stats.bestCascade = Math.max(stats.bestCascade, bestCascade);
+    for (const move of gameMoves) {
+      stats.blocksMovedByLength[move.length] = (stats.blocksMovedByLength[move.length] || 0) + 1;
+    }
+    stats.linesPerGame[engine.linesCleared] = (stats.linesPerGame[engine.linesCleared] || 0) + 1;
+    const run = {
+      name: stats.playerName,
+      date: new Date(now()).toISOString(),
+      score: engine.score,
+      lines: engine.linesCleared,
+      moves: engine.moves,
+      mode: currentMode(),
+      rules: engine.rules.id,
+      seed: engine.seed,
+      bestCascade,
+    };
+    // Ties keep the older run ahead
+    let index = stats.leaderboard.findIndex((entry) => run.score > entry.score);
+    if (index === -1) index = stats.leaderboard.length;
+    stats.leaderboard.splice(index, 0, run);
+    stats.leaderboard.length = Math.min(stats.leaderboard.length, LEADERBOARD_SIZE);
+    lastRank = index < LEADERBOARD_SIZE ? index + 1 : null;
+    save();
+  }
+
+  function resetGame() {
+    gameMoves = [];
+    undoneMoves.length = 0;
+    assisted = false;
+    beforeGameOver = null;
+    lastRank = null;
+  }
+
+  engine.on("newGame", () => {
+    if (enabled) resetGame();
+  });
+  engine.on("drop", ({ cells, offset }) => {
+    // Drops in place are not moves
+    if (!enabled || offset === 0) return;
+    gameMoves.push({ length: cells.length, cascade: 0 });
+    undoneMoves.length = 0;
+  });
+  engine.on("linesCleared", ({ cascade }) => {
+    const move = gameMoves[gameMoves.length - 1];
+    if (enabled && move) move.cascade = Math.max(move.cascade, cascade);
+  });
+  engine.on("gameOver", () => {
+    if (enabled && !assisted) recordGame();
+  });
+  engine.on("undo", () => {
+    if (!enabled) return;
+    if (beforeGameOver) {
+      stats = beforeGameOver;
+      beforeGameOver = null;
+      lastRank = null;
+      save();
+    }
+    if (gameMoves.length > 0) undoneMoves.push(gameMoves.pop());
+  });
+  engine.on("redo", () => {
+    if (!enabled) return;
+    if (undoneMoves.length > 0) gameMoves.push(undoneMoves.pop());
+    // Redo brings back a game over without a gameOver event, so record it again
+    if (engine.gameOver && !assisted) recordGame();
+  });
+  engine.on("load", () => {
+    if (enabled) resetGame();
+  });
+
+  return {
+    get stats() {
+      return stats;
+    },
+    // Place on the high score table of the game that just ended, if it made it
+    get lastRank() {
+      return lastRank;
+    },
+    setEnabled(value) {
+      enabled = value;
+    },
+    markAssisted() {
+      assisted = true;
+    },
+    setPlayerName(name) {
+      const trimmed = String(name).trim().slice(0, MAX_PLAYER_NAME_LENGTH);
+      stats.playerName = trimmed || DEFAULT_PLAYER_NAME;
+      save();
+    },
+    // The current game's part of the stats, kept with the saved game
+    serializeGame() {
+      return { moves: gameMoves.map((move) => ({ ...move })), assisted };
+    },
+    restoreGame(saved) {
+      resetGame();
+      if (!saved || !Array.isArray(saved.moves)) return;
+      gameMoves = saved.moves
+        .filter((move) => move && isStatCount(move.length) && isStatCount(move.cascade))
+        .map((move) => ({ length: move.length, cascade: move.cascade }));
+      assisted = saved.assisted === true;
+    },
+    exportData() {
+      return stats;
+    },
+    // Replaces everything recorded so far; throws if the data is not stats
+    importData(data) {
+      stats = parseStats(data);
+      beforeGameOver = null;
+      lastRank = null;
+      save();
+    },
+  };
+}
+
+if (typeof module !== "undefined") {
+  module.exports = {
+    LEADERBOARD_SIZE,
+    emptyStats,
+    parseStats,
+    linesHistogram,
+    createStatsTracker,
+  };
+}
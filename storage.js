@@ -0,0 +1,38 @@
+// localStorage helpers that never throw: storage may be disabled, full, or
+// hold data written by an older version of the game.
+
+function readStoredJson(key) {
+  try {
+    if (typeof localStorage === "undefined") return null;
+    const text = localStorage.getItem(key);
+    return text === null ? null : JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+function writeStoredJson(key, value) {
+  try {
+    if (typeof localStorage === "undefined") return false;
+    localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function removeStored(key) {
+  try {
+    if (typeof localStorage !== "undefined") localStorage.removeItem(key);
+  } catch {
+    // Nothing to clean up if storage is unavailable
+  }
+}
+
+if (typeof module !== "undefined") {
+  module.exports = {
+    readStoredJson,
+    writeStoredJson,
+    removeStored,
+  };
+}
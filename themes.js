@@ -0,0 +1,161 @@
+// Color themes for the board and the page around it. Engine cells keep the
+// colors from BLOCK_COLORS; a theme repaints them by their position in that
+// list, so saves and replays look the same under every theme.
+
+if (typeof module !== "undefined") {
+  // In the browser these come from the storage.js script tag instead
+  var { readStoredJson, writeStoredJson } = require("./storage.js");
+}
+
+const THEMES = {
+  dark: {
+    name: "Dark",
+    empty: "#1b1f32",
+    cellGap: "#161b26",
+    border: "#273244",
+    borderHover: "#f0c987",
+    borderSelected: "#7bdff2",
+    borderCursor: "#f472b6",
+    borderHint: "#a3e635",
+    blocks: ["#8ab6f9", "#f5b0e3", "#9fd8c0", "#f8d89e"],
+    lengthBorders: { 1: "#f0c987", 2: "#7ec4cf", 3: "#9f87af", 4: "#6c8ebf", default: "#cbd5f5" },
+    // Color patterns and length numbers drawn on top of block fills
+    glyph: "rgba(15, 23, 42, 0.55)",
+    bombMark: "#1e1b2e",
+    bombFuse: "#fb923c",
+    anchorMark: "rgba(15, 23, 42, 0.75)",
+    matchFlash: "#ffffff",
+    text: "#e2e8f0",
+    label: "#cbd5f5",
+    level: "#7bdff2",
+    errorText: "#fca5a5",
+    scorePopup: "#fde68a",
+    overlay: "rgba(15, 23, 42, 0.82)",
+    button: "#7bdff2",
+    buttonText: "#0f172a",
+    buttonDisabled: "#273244",
+    buttonDisabledText: "#64748b",
+  },
+  light: {
+    name: "Light",
+    empty: "#e2e8f0",
+    cellGap: "#cbd5e1",
+    border: "#94a3b8",
+    borderHover: "#b45309",
+    borderSelected: "#0284c7",
+    borderCursor: "#db2777",
+    borderHint: "#4d7c0f",
+    blocks: ["#3b82f6", "#db2777", "#059669", "#d97706"],
+    lengthBorders: { 1: "#b45309", 2: "#0e7490", 3: "#7e22ce", 4: "#1e3a8a", default: "#334155" },
+    glyph: "rgba(255, 255, 255, 0.8)",
+    bombMark: "#1e1b2e",
+    bombFuse: "#ea580c",
+    anchorMark: "rgba(15, 23, 42, 0.75)",
+    matchFlash: "#ffffff",
+    text: "#0f172a",
+    label: "#334155",
+    level: "#0369a1",
+    errorText: "#b91c1c",
+    scorePopup: "#a16207",
+    overlay: "rgba(241, 245, 249, 0.86)",
+    button: "#0284c7",
+    buttonText: "#f8fafc",
+    buttonDisabled: "#cbd5e1",
+    buttonDisabledText: "#64748b",
+  },
+  highContrast: {
+    name: "High contrast",
+    empty: "#000000",
+    cellGap: "#000000",
+    border: "#6b7280",
+    borderHover: "#ffff00",
+    borderSelected: "#00ffff",
+    borderCursor: "#ff00ff",
+    borderHint: "#00ff00",
+    blocks: ["#3399ff", "#ff66cc", "#33dd66", "#ffdd00"],
+    lengthBorders: { 1: "#ffffff", 2: "#ffff00", 3: "#00ffff", 4: "#ff00ff", default: "#ffffff" },
+    glyph: "#000000",
+    bombMark: "#000000",
+    bombFuse: "#ff6600",
+    anchorMark: "#000000",
+    matchFlash: "#ffffff",
+    text: "#ffffff",
+    label: "#ffffff",
+    level: "#00ffff",
+    errorText: "#ff6666",
+    scorePopup: "#ffff00",
+    overlay: "rgba(0, 0, 0, 0.88)",
+    button: "#ffff00",
+    buttonText: "#000000",
+    buttonDisabled: "#333333",
+    buttonDisabledText: "#aaaaaa",
+  },
+  // Okabe-Ito colors, told apart with the common kinds of color blindness
+  colorblind: {
+    name: "Colorblind safe",
+    empty: "#1b1f32",
+    cellGap: "#161b26",
+    border: "#273244",
+    borderHover: "#e69f00",
+    borderSelected: "#56b4e9",
+    borderCursor: "#cc79a7",
+    borderHint: "#f0e442",
+    blocks: ["#56b4e9", "#cc79a7", "#009e73", "#f0e442"],
+    lengthBorders: { 1: "#e69f00", 2: "#f8fafc", 3: "#d55e00", 4: "#0072b2", default: "#cbd5f5" },
+    glyph: "rgba(15, 23, 42, 0.7)",
+    bombMark: "#1e1b2e",
+    bombFuse: "#d55e00",
+    anchorMark: "rgba(15, 23, 42, 0.8)",
+    matchFlash: "#ffffff",
+    text: "#e2e8f0",
+    label: "#cbd5f5",
+    level: "#56b4e9",
+    errorText: "#e69f00",
+    scorePopup: "#f0e442",
+    overlay: "rgba(15, 23, 42, 0.82)",
+    button: "#56b4e9",
+    buttonText: "#0f172a",
+    buttonDisabled: "#273244",
+    buttonDisabledText: "#64748b",
+  },
+};
+const DEFAULT_THEME_ID = "dark";
+const DISPLAY_STORAGE_KEY = "reverse-tetris:display";
+// patterns: a glyph per block color; lengthNumbers: block length written inside each block
+const DEFAULT_DISPLAY_SETTINGS = { theme: DEFAULT_THEME_ID, patterns: false, lengthNumbers: false };
+
+function isThemeId(id) {
+  return Object.prototype.hasOwnProperty.call(THEMES, id);
+}
+
+// Unknown ids fall back to the dark theme
+function resolveTheme(id = DEFAULT_THEME_ID) {
+  const themeId = isThemeId(id) ? id : DEFAULT_THEME_ID;
+  return { id: themeId, ...THEMES[themeId] };
+}
+
+function loadDisplaySettings() {
+  const stored = readStoredJson(DISPLAY_STORAGE_KEY);
+  const settings = { ...DEFAULT_DISPLAY_SETTINGS };
+  if (!stored || typeof stored !== "object") return settings;
+  if (isThemeId(stored.theme)) settings.theme = stored.theme;
+  for (const key of ["patterns", "lengthNumbers"]) {
+    if (typeof stored[key] === "boolean") settings[key] = stored[key];
+  }
+  return settings;
+}
+
+function saveDisplaySettings(settings) {
+  writeStoredJson(DISPLAY_STORAGE_KEY, settings);
+}
+
+if (typeof module !== "undefined") {
+  module.exports = {
+    THEMES,
+    DEFAULT_THEME_ID,
+    isThemeId,
+    resolveTheme,
+    loadDisplaySettings,
+    saveDisplaySettings,
+  };
+}
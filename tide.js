@@ -0,0 +1,67 @@
+// Countdown for the rising tide mode: a new row is due whenever it runs out,
+// and every row makes the next countdown a little shorter.
+
+const TIDE_START_INTERVAL = 10000;
+const TIDE_MIN_INTERVAL = 2500;
+const TIDE_SPEEDUP = 0.94;
+
+function createTideTimer(saved = null) {
+  const isValidDuration = (value) => Number.isFinite(value) && value >= 0;
+  let interval = isValidDuration(saved?.interval) && saved.interval > 0
+    ? saved.interval
+    : TIDE_START_INTERVAL;
+  let remaining = isValidDuration(saved?.remaining) ? Math.min(saved.remaining, interval) : interval;
+  let lastTime = null;
+  let paused = false;
+  // Time spent due while the board could not take a new row
+  let overdue = 0;
+
+  function update(now) {
+    const elapsed = lastTime === null ? 0 : now - lastTime;
+    lastTime = now;
+    if (paused) return;
+    if (remaining > 0) {
+      remaining = Math.max(0, remaining - elapsed);
+    } else {
+      overdue += elapsed;
+    }
+  }
+
+  function restart() {
+    interval = Math.max(TIDE_MIN_INTERVAL, interval * TIDE_SPEEDUP);
+    remaining = interval;
+    overdue = 0;
+  }
+
+  return {
+    get due() {
+      return remaining <= 0;
+    },
+    get overdue() {
+      return overdue;
+    },
+    get paused() {
+      return paused;
+    },
+    // 1 right after a row arrives, 0 when the next one is due
+    get fraction() {
+      return interval > 0 ? remaining / interval : 0;
+    },
+    update,
+    restart,
+    setPaused(value) {
+      paused = value;
+      // Resuming must not count the paused time as elapsed
+      lastTime = null;
+    },
+    serialize() {
+      return { interval, remaining };
+    },
+  };
+}
+
+if (typeof module !== "undefined") {
+  module.exports = {
+    createTideTimer,
+  };
+}